@@ -0,0 +1,57 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+/** Turns an arbitrary account/slug value into a single safe path segment. */
+export function safeSegment(value) {
+    return encodeURIComponent(String(value || '_')).replace(/%/g, '_')
+}
+
+/**
+ * One JSON document per (domain, account), for small per-user state such as preferences.
+ * `update` runs read-modify-write serialised per account; the callback receives the current
+ * document (or null) and returns the one to store.
+ */
+export function createAccountStore({ dir }) {
+    const queues = new Map()
+
+    function fileFor(owner) {
+        return path.join(dir, safeSegment(owner.domain), `${safeSegment(owner.user)}.json`)
+    }
+
+    async function read(file) {
+        try {
+            const data = JSON.parse(await fs.readFile(file, 'utf8'))
+            return data && typeof data === 'object' ? data : null
+        } catch {
+            return null
+        }
+    }
+
+    return {
+        async get(owner) {
+            const file = fileFor(owner)
+            // Reads observe every update queued before them.
+            await queues.get(file)?.catch(() => {})
+            return read(file)
+        },
+
+        async update(owner, fn) {
+            const file = fileFor(owner)
+            const run = async () => {
+                const next = await fn(await read(file))
+                await fs.mkdir(path.dirname(file), { recursive: true })
+                const tmp = `${file}.${process.pid}.tmp`
+                await fs.writeFile(tmp, JSON.stringify(next))
+                await fs.rename(tmp, file)
+                return next
+            }
+            const prev = queues.get(file) || Promise.resolve()
+            const next = prev.then(run, run)
+            queues.set(file, next)
+            next.finally(() => {
+                if (queues.get(file) === next) queues.delete(file)
+            }).catch(() => {})
+            return next
+        },
+    }
+}
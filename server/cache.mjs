@@ -0,0 +1,70 @@
+import crypto from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+/**
+ * Tiny on-disk cache: one JSON file per key, each with its own expiry.
+ *
+ * Expired entries are kept around on purpose so callers can still serve them
+ * (marked stale) when upstream is unreachable.
+ */
+export function createDiskCache({ dir }) {
+    function fileFor(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex')
+        return path.join(dir, `${hash}.json`)
+    }
+
+    async function read(key) {
+        try {
+            const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'))
+            return entry?.key === key ? entry : null
+        } catch {
+            return null
+        }
+    }
+
+    return {
+        /** Returns `{ value, storedAt, expiresAt, fresh }` or null when nothing was ever cached. */
+        async get(key) {
+            const entry = await read(key)
+            if (!entry) return null
+            return { value: entry.value, storedAt: entry.storedAt, expiresAt: entry.expiresAt, fresh: entry.expiresAt > Date.now() }
+        },
+        async set(key, value, ttl) {
+            await fs.mkdir(dir, { recursive: true })
+            const now = Date.now()
+            const file = fileFor(key)
+            const tmp = `${file}.${crypto.randomUUID()}.tmp`
+            await fs.writeFile(tmp, JSON.stringify({ key, storedAt: now, expiresAt: now + ttl, value }))
+            await fs.rename(tmp, file)
+        },
+        async delete(key) {
+            await fs.rm(fileFor(key), { force: true })
+        },
+        /** Removes every entry whose key starts with `prefix`; returns how many were removed. */
+        async deletePrefix(prefix) {
+            let names
+            try {
+                names = await fs.readdir(dir)
+            } catch {
+                return 0
+            }
+
+            let removed = 0
+            for (const name of names) {
+                if (!name.endsWith('.json')) continue
+                const file = path.join(dir, name)
+                try {
+                    const entry = JSON.parse(await fs.readFile(file, 'utf8'))
+                    if (String(entry?.key || '').startsWith(prefix)) {
+                        await fs.rm(file, { force: true })
+                        removed++
+                    }
+                } catch {
+                    // ignore unreadable entries
+                }
+            }
+            return removed
+        },
+    }
+}
@@ -0,0 +1,342 @@
+// Command-line client on the same LeetCode layer as the proxy (server/leetcode.mjs); commands in USAGE.
+// Files written by `pull` are named `<slug>.<ext>` so `run` / `submit` can tell slug and language apart.
+// The signed-in session lives in $LC_DATA_DIR/cli, credentials encrypted like the server's sessions.
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import readline from 'node:readline/promises'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { createFileSessionStore } from './sessionStore.mjs'
+import { createSubmissionWatcher } from './submissionWatch.mjs'
+import { createUpstreamClient, describeUpstreamFailure, tryUpstream } from './upstream.mjs'
+import { STATUS_MESSAGES, ZH_ACCEPT_LANGUAGE, createLeetCodeClient, normalizeDifficulty } from './leetcode.mjs'
+import { CookieImportError, parseCookieInput, sessionExpiresAt } from './cookieImport.mjs'
+import { htmlToMarkdown, parseSolutionFile, solutionFileFor } from './solutionExport.mjs'
+
+const DATA_DIR = process.env.LC_DATA_DIR || fileURLToPath(new URL('../.data/', import.meta.url))
+const SESSION_ID = 'cli'
+const SESSION_MAX_AGE = 1000 * 60 * 60 * 24 * 30
+const LIST_LIMIT_DEFAULT = 50
+const DIFFICULTIES = ['easy', 'medium', 'hard']
+
+// English wording of the upstream failure codes; the web client has its own in src/locales.
+const UPSTREAM_MESSAGES = {
+    UPSTREAM_TIMEOUT: 'LeetCode timed out; try again later.',
+    UPSTREAM_UNREACHABLE: 'Cannot reach LeetCode; check your network.',
+    UPSTREAM_RATE_LIMITED: 'LeetCode is rate limiting these requests; try again shortly.',
+    UPSTREAM_UNAUTHORIZED: 'LeetCode rejected the request; the session may have expired.',
+    NOT_FOUND: 'Problem or record not found.',
+    UPSTREAM_UNAVAILABLE: 'LeetCode is temporarily unavailable.',
+    UPSTREAM_GRAPHQL_ERROR: 'LeetCode could not answer this query.',
+    UPSTREAM_BAD_RESPONSE: 'LeetCode returned an unreadable response.',
+}
+
+const USAGE = `Command-line client on the same LeetCode layer as the web app:
+  npm run cli -- login [--domain leetcode.cn] [--cookies file]
+      cookie header, cURL command, HAR or cookie jar from --cookies, LC_COOKIE or stdin
+  npm run cli -- list [--difficulty easy] [--tag array,hash-table] [--limit 50] [--skip 0] [--zh]
+  npm run cli -- show <slug> [--zh]
+  npm run cli -- pull <slug> --lang python3 [--out file] [--force]
+  npm run cli -- run <file> [--slug two-sum] [--lang python3] [--input file]
+  npm run cli -- submit <file> [--slug two-sum] [--lang python3]
+  npm run cli -- status [submissionId]
+`
+
+class CliError extends Error {}
+
+function usageError(message) {
+    process.stderr.write(`${message ? `${message}\n\n` : ''}${USAGE}`)
+    process.exit(2)
+}
+
+let parsed
+try {
+    parsed = parseArgs({
+        allowPositionals: true,
+        options: {
+            // Only a fallback for cookies that do not say which site they belong to.
+            domain: { type: 'string', default: 'leetcode.com' },
+            cookies: { type: 'string' },
+            difficulty: { type: 'string' },
+            tag: { type: 'string' },
+            limit: { type: 'string' },
+            skip: { type: 'string' },
+            zh: { type: 'boolean', default: false },
+            lang: { type: 'string' },
+            slug: { type: 'string' },
+            out: { type: 'string' },
+            input: { type: 'string' },
+            force: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    })
+} catch (e) {
+    usageError(e.message)
+}
+const { values: args, positionals } = parsed
+if (args.help) {
+    process.stdout.write(USAGE)
+    process.exit(0)
+}
+
+const sessions = createFileSessionStore({ dir: path.join(DATA_DIR, 'cli'), maxAge: SESSION_MAX_AGE })
+const leetcode = createLeetCodeClient({ upstream: createUpstreamClient() })
+
+function print(text = '') {
+    process.stdout.write(`${text}\n`)
+}
+
+/** Resolves an upstream call to its result, or throws CliError with the same code the web client shows. */
+async function call(fn) {
+    const result = await tryUpstream(fn)
+    if (result.ok) return result
+    const { body } = describeUpstreamFailure(result)
+    const message = body.message || UPSTREAM_MESSAGES[body.error] || 'The request to LeetCode failed.'
+    throw new CliError(`${body.error}: ${message}`)
+}
+
+function currentSession() {
+    const session = sessions.get(SESSION_ID)
+    if (!session) throw new CliError('Not signed in; run `npm run cli -- login` first.')
+    return args.zh ? { ...session, acceptLanguage: ZH_ACCEPT_LANGUAGE } : session
+}
+
+function requirePositional(name) {
+    const value = positionals[1]
+    if (!value) throw new CliError(`Missing <${name}>.`)
+    return value
+}
+
+async function readCookie() {
+    if (args.cookies) return fs.readFile(args.cookies, 'utf8')
+    if (process.env.LC_COOKIE) return process.env.LC_COOKIE
+    // Piped input may span lines (a cURL command, a HAR file).
+    if (!process.stdin.isTTY) return new Response(process.stdin).text()
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr })
+    try {
+        return await rl.question('Cookie (from the Request Headers of any leetcode request): ')
+    } finally {
+        rl.close()
+    }
+}
+
+async function loadQuestion(session, slug) {
+    const q = await call(() => leetcode.question(session, slug))
+    const question = q.data?.question
+    if (!question) throw new CliError(`NOT_FOUND: ${slug}`)
+    return question
+}
+
+// `run` / `submit` take the slug and language from a `pull`ed file name unless given explicitly.
+function solutionTarget(file) {
+    const parsed = parseSolutionFile(path.basename(file))
+    const slug = args.slug || parsed?.base
+    const lang = args.lang || parsed?.lang
+    if (!slug || !lang) throw new CliError(`Cannot tell the problem / language of ${file}; pass --slug and --lang.`)
+    return { slug, lang }
+}
+
+/** Polls the check endpoint through the shared watcher until judging finishes. */
+function waitForJudge(session, id, titleSlug) {
+    const watcher = createSubmissionWatcher()
+    return new Promise((resolve, reject) => {
+        let unsubscribe = null
+        unsubscribe = watcher.subscribe(
+            String(id),
+            () => leetcode.submissionCheck(session, id, { titleSlug }),
+            (event, payload) => {
+                if (event === 'state') {
+                    process.stderr.write(`${String(payload?.state || '').toLowerCase()}...\n`)
+                    return
+                }
+                queueMicrotask(() => unsubscribe?.())
+                if (event === 'done') resolve(payload)
+                else reject(new CliError(payload?.error || 'JUDGE_FAILED'))
+            }
+        )
+    })
+}
+
+function printFailureDetails(data) {
+    const compileError = data.full_compile_error || data.compile_error
+    const runtimeError = data.full_runtime_error || data.runtime_error
+    if (compileError) print(compileError)
+    if (runtimeError) print(runtimeError)
+}
+
+function printSubmitResult(data) {
+    const status = data.status_msg || STATUS_MESSAGES[data.status_code] || 'Unknown'
+    print(status)
+    if (data.total_testcases != null) print(`  ${data.total_correct ?? 0}/${data.total_testcases} testcases passed`)
+    if (data.status_code === 10) {
+        const beats = (p) => (p == null ? '' : ` (beats ${Number(p).toFixed(1)}%)`)
+        print(`  runtime ${data.status_runtime}${beats(data.runtime_percentile)}`)
+        print(`  memory ${data.status_memory}${beats(data.memory_percentile)}`)
+        return
+    }
+    printFailureDetails(data)
+    if (data.last_testcase) print(`  input:    ${data.last_testcase.replace(/\n/g, ' ')}`)
+    if (data.code_output) print(`  output:   ${data.code_output}`)
+    if (data.expected_output) print(`  expected: ${data.expected_output}`)
+}
+
+function printRunResult(data) {
+    const status = data.status_msg || STATUS_MESSAGES[data.status_code] || 'Unknown'
+    const verdict = data.run_success && data.correct_answer === false ? 'Wrong Answer' : status
+    print(`${verdict}${data.status_runtime ? ` (${data.status_runtime})` : ''}`)
+    printFailureDetails(data)
+    const answers = data.code_answer || []
+    answers.forEach((answer, i) => {
+        const expected = data.expected_code_answer?.[i]
+        const mark = expected == null ? '?' : answer === expected ? '✓' : '✗'
+        print(`  ${mark} case ${i + 1}: ${answer}${expected != null && answer !== expected ? `  (expected ${expected})` : ''}`)
+        const stdout = data.std_output_list?.[i]
+        if (stdout) print(`    stdout: ${stdout.trimEnd().replace(/\n/g, '\n            ')}`)
+    })
+}
+
+const commands = {
+    async login() {
+        let parsed
+        try {
+            parsed = parseCookieInput(await readCookie(), { preferred: args.domain })
+        } catch (e) {
+            if (!(e instanceof CookieImportError)) throw e
+            throw new CliError(`${e.code}: ${e.message}`)
+        }
+
+        const domain = parsed.domain || args.domain
+        const session = { domain, cookie: parsed.cookie, csrftoken: parsed.csrftoken, user: null }
+        const expiresAt = sessionExpiresAt(parsed.cookie)
+        const { user } = await call(() => leetcode.userStatus(session))
+        if (!user?.is_signed_in) {
+            if (expiresAt != null && expiresAt <= Date.now()) {
+                throw new CliError(`COOKIE_EXPIRED: this LEETCODE_SESSION expired on ${new Date(expiresAt).toLocaleString()}.`)
+            }
+            throw new CliError(`NOT_SIGNED_IN: LeetCode did not accept this cookie for ${domain}.`)
+        }
+
+        session.user = user
+        // A new login restarts the expiry.
+        sessions.delete(SESSION_ID)
+        sessions.set(SESSION_ID, session)
+        print(`Signed in as ${user.name} on ${domain}`)
+        if (expiresAt != null) print(`LeetCode session valid until ${new Date(expiresAt).toLocaleString()}`)
+    },
+
+    async list() {
+        const session = currentSession()
+        const filters = {}
+        if (args.difficulty) {
+            const difficulty = args.difficulty.toLowerCase()
+            if (!DIFFICULTIES.includes(difficulty)) throw new CliError(`--difficulty must be one of ${DIFFICULTIES.join(', ')}.`)
+            filters.difficulty = difficulty.toUpperCase()
+        }
+        if (args.tag) filters.tags = args.tag.split(',').map((t) => t.trim()).filter(Boolean)
+
+        const limit = Math.max(1, Number(args.limit) || LIST_LIMIT_DEFAULT)
+        const skip = Math.max(0, Number(args.skip) || 0)
+        const resp = await call(() =>
+            leetcode.problemsetQuestionList(session, { categorySlug: null, limit, skip, filters })
+        )
+        const { total, questions = [] } = resp.data?.problemsetQuestionList || {}
+        for (const q of questions) {
+            const status = String(q.status || '').toLowerCase()
+            const mark = status === 'ac' ? '✓' : status === 'notac' || status === 'tried' ? '~' : ' '
+            const title = (args.zh && q.titleZh) || q.title
+            const acRate = q.acRate == null ? '' : `${Number(q.acRate).toFixed(1)}%`
+            const paid = q.paidOnly ? ' $' : ''
+            print(`${mark} ${String(q.frontendId).padStart(5)}  ${normalizeDifficulty(q.difficulty).padEnd(6)}  ${acRate.padStart(6)}  ${title}${paid}  (${q.titleSlug})`)
+        }
+        print(`${skip + questions.length} of ${total ?? questions.length}`)
+    },
+
+    async show() {
+        const slug = requirePositional('slug')
+        const q = await loadQuestion(currentSession(), slug)
+        const title = (args.zh && q.translated_title) || q.title
+        const content = (args.zh && q.translated_content) || q.content
+        const tags = (q.topic_tags || []).map((t) => (args.zh && t.translated_name) || t.name)
+
+        print(`${q.frontend_id}. ${title}`)
+        print(`${normalizeDifficulty(q.difficulty)}${tags.length ? ` · ${tags.join(', ')}` : ''}`)
+        print()
+        print(content ? htmlToMarkdown(content) : q.is_paid_only ? '(premium problem)' : '')
+        const langs = (q.code_snippets || []).map((s) => s.lang_slug)
+        if (langs.length) print(`\nLanguages: ${langs.join(' ')}`)
+    },
+
+    async pull() {
+        const slug = requirePositional('slug')
+        if (!args.lang) throw new CliError('Missing --lang (e.g. --lang python3).')
+        const q = await loadQuestion(currentSession(), slug)
+        const snippet = (q.code_snippets || []).find((s) => s.lang_slug === args.lang)
+        if (!snippet) {
+            const langs = (q.code_snippets || []).map((s) => s.lang_slug).join(' ')
+            throw new CliError(`No ${args.lang} starter for ${slug}. Available: ${langs || 'none'}`)
+        }
+
+        const file = path.resolve(args.out || solutionFileFor(args.lang, slug))
+        if (!args.force) {
+            const exists = await fs.access(file).then(() => true, () => false)
+            if (exists) throw new CliError(`${file} already exists; pass --force to overwrite it.`)
+        }
+        await fs.writeFile(file, snippet.code.endsWith('\n') ? snippet.code : `${snippet.code}\n`)
+        print(file)
+    },
+
+    async run() {
+        const file = requirePositional('file')
+        const { slug, lang } = solutionTarget(file)
+        const session = currentSession()
+        const typedCode = await fs.readFile(file, 'utf8')
+        const q = await loadQuestion(session, slug)
+        const dataInput = args.input ? await fs.readFile(args.input, 'utf8') : (q.testcase_list || []).join('\n')
+
+        const run = await call(() => leetcode.interpret(session, { titleSlug: slug, questionId: q.id, lang, typedCode, dataInput }))
+        printRunResult(await waitForJudge(session, run.interpretId, slug))
+    },
+
+    async submit() {
+        const file = requirePositional('file')
+        const { slug, lang } = solutionTarget(file)
+        const session = currentSession()
+        const typedCode = await fs.readFile(file, 'utf8')
+        const q = await loadQuestion(session, slug)
+
+        const submit = await call(() => leetcode.submit(session, { titleSlug: slug, questionId: q.id, lang, typedCode }))
+        print(`Submission ${submit.submissionId}`)
+        const result = await waitForJudge(session, submit.submissionId, slug)
+        printSubmitResult(result)
+        if (result.status_code !== 10) process.exitCode = 1
+    },
+
+    async status() {
+        const session = currentSession()
+        const id = positionals[1]
+        if (!id) {
+            const { user } = await call(() => leetcode.userStatus(session))
+            if (!user?.is_signed_in) throw new CliError('SESSION_EXPIRED: run `npm run cli -- login` again.')
+            print(`${user.name} on ${session.domain}${user.is_premium ? ' (premium)' : ''}`)
+            return
+        }
+        const detail = await call(() => leetcode.submissionDetail(session, id))
+        const d = detail.data
+        print(`${d.status || 'Unknown'} · ${d.title_slug} · ${d.lang_name}`)
+        if (d.runtime) print(`  runtime ${d.runtime}, memory ${d.memory}`)
+        printFailureDetails(d)
+    },
+}
+
+const command = commands[positionals[0]]
+if (!command) {
+    usageError(positionals[0] ? `Unknown command: ${positionals[0]}` : '')
+} else {
+    try {
+        await command()
+    } catch (e) {
+        if (!(e instanceof CliError)) throw e
+        process.stderr.write(`${e.message}\n`)
+        process.exitCode = 1
+    }
+}
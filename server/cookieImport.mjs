@@ -0,0 +1,231 @@
+/**
+ * Turns whatever was pasted or uploaded to sign in into a LeetCode `Cookie` header:
+ *   - a raw Cookie header, optionally prefixed `Cookie:`
+ *   - `Set-Cookie` lines copied from response headers
+ *   - a "Copy as cURL" command (bash or cmd quoting; `-H 'cookie: ...'` or `-b '...'`)
+ *   - a HAR export (`log.entries[]`, request and response cookies of leetcode requests)
+ *   - a cookie-jar export: Netscape `cookies.txt`, or JSON (`[{ name, value, domain }]` or `{ cookies: [...] }`)
+ * The site is detected from URLs and cookie domains when the data carries them.
+ */
+
+const REQUIRED_COOKIES = ['csrftoken', 'LEETCODE_SESSION']
+const SITES = ['leetcode.com', 'leetcode.cn']
+
+export class CookieImportError extends Error {
+    constructor(code, status, message) {
+        super(message || code)
+        this.name = 'CookieImportError'
+        this.code = code
+        this.status = status
+    }
+}
+
+/** `leetcode.com` / `leetcode.cn` for a host, URL or cookie domain on either site; null otherwise. */
+export function siteOf(value) {
+    let host = String(value || '').trim().toLowerCase()
+    if (host.includes('://')) {
+        try {
+            host = new URL(host).hostname
+        } catch {
+            return null
+        }
+    }
+    host = host.replace(/^\./, '')
+    return SITES.find((site) => host === site || host.endsWith(`.${site}`)) || null
+}
+
+/**
+ * Expiry (epoch ms) written into a LEETCODE_SESSION token, or null when it cannot be read.
+ * The value is a JWT; LeetCode puts the expiry in `expired_time_`, standard tokens in `exp` (both seconds).
+ */
+export function sessionExpiresAt(cookieHeader) {
+    const token = cookiePairs(cookieHeader).find((c) => c.name === 'LEETCODE_SESSION')?.value
+    const payload = token?.split('.')[1]
+    if (!payload) return null
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+        const seconds = Number(claims.expired_time_ ?? claims.exp)
+        return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null
+    } catch {
+        return null
+    }
+}
+
+function cookiePairs(header, site = null) {
+    const out = []
+    for (const part of String(header || '').split(';')) {
+        const i = part.indexOf('=')
+        if (i <= 0) continue
+        const name = part.slice(0, i).trim()
+        const value = part.slice(i + 1).trim()
+        if (name && value) out.push({ name, value, site })
+    }
+    return out
+}
+
+// Splits a shell command into words: bash quoting ('...', "...", $'...', \x) and cmd's ^ escapes.
+function shellWords(command) {
+    let text = command.replace(/[\\^]\r?\n/g, ' ')
+    if (/\^"/.test(text)) text = text.replace(/\^(.)/g, '$1')
+
+    const words = []
+    let word = null
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i]
+        if (/\s/.test(c)) {
+            if (word !== null) words.push(word)
+            word = null
+            continue
+        }
+        word ??= ''
+        if (c === "'") {
+            const end = text.indexOf("'", i + 1)
+            word += text.slice(i + 1, end < 0 ? text.length : end)
+            i = end < 0 ? text.length : end
+        } else if (c === '"' || (c === '$' && text[i + 1] === "'")) {
+            const quote = c === '"' ? '"' : "'"
+            if (c === '$') i++
+            for (i++; i < text.length && text[i] !== quote; i++) {
+                if (text[i] === '\\' && i + 1 < text.length) i++
+                word += text[i]
+            }
+        } else if (c === '\\' && i + 1 < text.length) {
+            word += text[++i]
+        } else {
+            word += c
+        }
+    }
+    if (word !== null) words.push(word)
+    return words
+}
+
+function fromCurl(text) {
+    const words = shellWords(text)
+    const site = siteOf(words.find((w) => /^https?:\/\//i.test(w)))
+    const out = []
+    for (let i = 0; i < words.length - 1; i++) {
+        const flag = words[i]
+        const value = words[i + 1]
+        if (flag === '-H' || flag === '--header') {
+            const match = value.match(/^\s*cookie\s*:(.*)$/i)
+            if (match) out.push(...cookiePairs(match[1], site))
+        } else if ((flag === '-b' || flag === '--cookie') && value.includes('=')) {
+            out.push(...cookiePairs(value, site))
+        }
+    }
+    return out
+}
+
+function fromSetCookie(text) {
+    const out = []
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^\s*set-cookie\s*:(.*)$/i)
+        if (!match) continue
+        const [pair, ...attributes] = match[1].split(';')
+        const domain = attributes.map((a) => a.trim().match(/^domain=(.*)$/i)?.[1]).find(Boolean)
+        if (domain && !siteOf(domain)) continue
+        out.push(...cookiePairs(pair, siteOf(domain)))
+    }
+    return out
+}
+
+function fromNetscape(text) {
+    const out = []
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.replace(/^#HttpOnly_/, '')
+        if (!line.trim() || line.startsWith('#')) continue
+        const fields = line.split('\t')
+        if (fields.length < 7) continue
+        const [domain, , , , , name, value] = fields
+        const site = siteOf(domain)
+        if (site && name && value) out.push({ name, value: value.trim(), site })
+    }
+    return out
+}
+
+// HAR entries are chronological, so cookies the server refreshed later win.
+function fromHar(har) {
+    const out = []
+    for (const entry of har.log.entries) {
+        const site = siteOf(entry?.request?.url)
+        if (!site) continue
+        const requestCookies = entry.request.cookies
+        if (Array.isArray(requestCookies) && requestCookies.length) {
+            for (const c of requestCookies) {
+                if (c?.name && c.value) out.push({ name: c.name, value: String(c.value), site })
+            }
+        } else {
+            const header = (entry.request.headers || []).find((h) => String(h?.name).toLowerCase() === 'cookie')
+            if (header) out.push(...cookiePairs(header.value, site))
+        }
+        for (const c of entry.response?.cookies || []) {
+            if (c?.name && c.value) out.push({ name: c.name, value: String(c.value), site })
+        }
+    }
+    return out
+}
+
+// Entries without a domain are kept for either site; other sites' cookies are dropped.
+function fromJsonJar(cookies) {
+    return cookies
+        .filter((c) => c?.name && c.value != null && c.value !== '')
+        .map((c) => ({ name: String(c.name), value: String(c.value), domain: c.domain ?? c.host }))
+        .filter((c) => !c.domain || siteOf(c.domain))
+        .map(({ name, value, domain }) => ({ name, value, site: siteOf(domain) }))
+}
+
+function readCookies(text) {
+    if (/^[[{]/.test(text)) {
+        let data
+        try {
+            data = JSON.parse(text)
+        } catch {
+            throw new CookieImportError('COOKIE_FORMAT_UNKNOWN', 400, 'Not valid JSON.')
+        }
+        if (Array.isArray(data?.log?.entries)) return { format: 'har', cookies: fromHar(data) }
+        const jar = Array.isArray(data) ? data : data?.cookies
+        if (Array.isArray(jar)) return { format: 'json', cookies: fromJsonJar(jar) }
+        throw new CookieImportError('COOKIE_FORMAT_UNKNOWN', 400, 'Expected a HAR file or a cookie list.')
+    }
+    if (/^curl(\.exe)?\s/i.test(text)) return { format: 'curl', cookies: fromCurl(text) }
+    if (/^\s*set-cookie\s*:/im.test(text)) return { format: 'set-cookie', cookies: fromSetCookie(text) }
+    if (/^# (Netscape )?HTTP Cookie File/i.test(text) || /^[^\t\n]+(\t[^\t\n]*){6}/m.test(text)) {
+        return { format: 'netscape', cookies: fromNetscape(text) }
+    }
+    return { format: 'header', cookies: cookiePairs(text.replace(/^cookie\s*:/i, '')) }
+}
+
+/**
+ * Parses `text` (any of the formats above) into `{ cookie, csrftoken, domain, format }`. `domain` is the
+ * detected site, or null when the data does not say; with cookies for both sites, `preferred` wins.
+ * Throws CookieImportError (COOKIE_FORMAT_UNKNOWN, COOKIE_INVALID) when no usable session is found.
+ */
+export function parseCookieInput(text, { preferred } = {}) {
+    const { format, cookies } = readCookies(String(text || '').trim())
+
+    // Cookies that do not name a site go with either.
+    const forSite = (site) => {
+        const byName = new Map()
+        for (const c of cookies) if (c.site === site || c.site === null) byName.set(c.name, c.value)
+        return byName
+    }
+    const complete = (byName) => REQUIRED_COOKIES.every((name) => byName.has(name))
+
+    const candidates = [...new Set([preferred, ...SITES].filter((s) => SITES.includes(s)))]
+    const site = candidates.find((s) => complete(forSite(s)))
+    if (!site) {
+        throw new CookieImportError(
+            'COOKIE_INVALID',
+            400,
+            'No csrftoken and LEETCODE_SESSION found for leetcode.com or leetcode.cn.'
+        )
+    }
+
+    const byName = forSite(site)
+    return {
+        cookie: [...byName].map(([name, value]) => `${name}=${value}`).join('; '),
+        csrftoken: byName.get('csrftoken'),
+        domain: cookies.some((c) => c.site === site) ? site : null,
+        format,
+    }
+}
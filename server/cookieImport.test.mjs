@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { CookieImportError, parseCookieInput, sessionExpiresAt, siteOf } from './cookieImport.mjs'
+
+function jwt(claims) {
+    return `header.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.signature`
+}
+
+describe('siteOf', () => {
+    test('maps hosts, URLs and cookie domains of either site', () => {
+        assert.equal(siteOf('leetcode.com'), 'leetcode.com')
+        assert.equal(siteOf('.leetcode.cn'), 'leetcode.cn')
+        assert.equal(siteOf('https://assets.LeetCode.com/graphql'), 'leetcode.com')
+    })
+
+    test('rejects other hosts, including look-alikes', () => {
+        for (const value of ['example.com', 'evilleetcode.com', 'leetcode.com.evil.io', 'https://', '', null]) {
+            assert.equal(siteOf(value), null, String(value))
+        }
+    })
+})
+
+describe('sessionExpiresAt', () => {
+    test("reads LeetCode's expired_time_ and the standard exp claim", () => {
+        assert.equal(sessionExpiresAt(`LEETCODE_SESSION=${jwt({ expired_time_: 1700000000 })}`), 1700000000000)
+        assert.equal(sessionExpiresAt(`csrftoken=x; LEETCODE_SESSION=${jwt({ exp: 1800000000 })}`), 1800000000000)
+    })
+
+    test('returns null when the token carries no readable expiry', () => {
+        assert.equal(sessionExpiresAt('csrftoken=x'), null)
+        assert.equal(sessionExpiresAt('LEETCODE_SESSION=opaque'), null)
+        assert.equal(sessionExpiresAt('LEETCODE_SESSION=a.!!!.c'), null)
+        assert.equal(sessionExpiresAt(`LEETCODE_SESSION=${jwt({ user: 1 })}`), null)
+    })
+})
+
+describe('parseCookieInput', () => {
+    test('reads a raw Cookie header, with or without the name', () => {
+        const parsed = parseCookieInput('Cookie: csrftoken=abc; LEETCODE_SESSION=s1; other=1')
+        assert.deepEqual(parsed, {
+            cookie: 'csrftoken=abc; LEETCODE_SESSION=s1; other=1',
+            csrftoken: 'abc',
+            domain: null,
+            format: 'header',
+        })
+    })
+
+    test('reads a bash cURL command and the site from its URL', () => {
+        const curl = [
+            "curl 'https://leetcode.cn/graphql/' \\",
+            "  -H 'content-type: application/json' \\",
+            "  -H 'cookie: csrftoken=abc; LEETCODE_SESSION=s1' \\",
+            "  --data-raw '{}'",
+        ].join('\n')
+        const parsed = parseCookieInput(curl)
+        assert.equal(parsed.format, 'curl')
+        assert.equal(parsed.domain, 'leetcode.cn')
+        assert.equal(parsed.csrftoken, 'abc')
+    })
+
+    test('reads a cmd cURL command with ^ escapes and -b', () => {
+        const curl = 'curl ^"https://leetcode.com/graphql/^" ^\n  -b ^"csrftoken=abc; LEETCODE_SESSION=s1^"'
+        const parsed = parseCookieInput(curl)
+        assert.equal(parsed.domain, 'leetcode.com')
+        assert.equal(parsed.cookie, 'csrftoken=abc; LEETCODE_SESSION=s1')
+    })
+
+    test('reads Set-Cookie lines and skips other domains', () => {
+        const text = [
+            'set-cookie: csrftoken=abc; Domain=.leetcode.com; Path=/',
+            'set-cookie: LEETCODE_SESSION=s1; Domain=.leetcode.com; HttpOnly',
+            'set-cookie: tracker=1; Domain=.ads.example',
+        ].join('\n')
+        const parsed = parseCookieInput(text)
+        assert.equal(parsed.format, 'set-cookie')
+        assert.equal(parsed.cookie, 'csrftoken=abc; LEETCODE_SESSION=s1')
+        assert.equal(parsed.domain, 'leetcode.com')
+    })
+
+    test('reads a Netscape cookies.txt', () => {
+        const text = [
+            '# Netscape HTTP Cookie File',
+            '.leetcode.cn\tTRUE\t/\tTRUE\t0\tcsrftoken\tabc',
+            '#HttpOnly_.leetcode.cn\tTRUE\t/\tTRUE\t0\tLEETCODE_SESSION\ts1',
+            '.example.com\tTRUE\t/\tFALSE\t0\tother\t1',
+        ].join('\n')
+        const parsed = parseCookieInput(text)
+        assert.equal(parsed.format, 'netscape')
+        assert.equal(parsed.domain, 'leetcode.cn')
+        assert.equal(parsed.cookie, 'csrftoken=abc; LEETCODE_SESSION=s1')
+    })
+
+    test('reads a HAR export, later responses refreshing earlier cookies', () => {
+        const har = {
+            log: {
+                entries: [
+                    { request: { url: 'https://example.com/', cookies: [{ name: 'csrftoken', value: 'foreign' }] } },
+                    {
+                        request: { url: 'https://leetcode.com/graphql', cookies: [], headers: [{ name: 'Cookie', value: 'csrftoken=old; LEETCODE_SESSION=s1' }] },
+                        response: { cookies: [{ name: 'csrftoken', value: 'new' }] },
+                    },
+                ],
+            },
+        }
+        const parsed = parseCookieInput(JSON.stringify(har))
+        assert.equal(parsed.format, 'har')
+        assert.equal(parsed.domain, 'leetcode.com')
+        assert.equal(parsed.csrftoken, 'new')
+    })
+
+    test('reads a JSON cookie list, dropping other domains', () => {
+        const jar = {
+            cookies: [
+                { name: 'csrftoken', value: 'abc', domain: '.leetcode.com' },
+                { name: 'LEETCODE_SESSION', value: 's1', domain: 'leetcode.com' },
+                { name: 'LEETCODE_SESSION', value: 'foreign', domain: 'example.com' },
+            ],
+        }
+        const parsed = parseCookieInput(JSON.stringify(jar))
+        assert.equal(parsed.format, 'json')
+        assert.equal(parsed.cookie, 'csrftoken=abc; LEETCODE_SESSION=s1')
+    })
+
+    test('picks the preferred site when both are present', () => {
+        const jar = [
+            { name: 'csrftoken', value: 'com', domain: '.leetcode.com' },
+            { name: 'LEETCODE_SESSION', value: 'com-s', domain: '.leetcode.com' },
+            { name: 'csrftoken', value: 'cn', domain: '.leetcode.cn' },
+            { name: 'LEETCODE_SESSION', value: 'cn-s', domain: '.leetcode.cn' },
+        ]
+        assert.equal(parseCookieInput(JSON.stringify(jar), { preferred: 'leetcode.cn' }).csrftoken, 'cn')
+        assert.equal(parseCookieInput(JSON.stringify(jar)).csrftoken, 'com')
+    })
+
+    test('fails with COOKIE_INVALID when the session cookies are missing', () => {
+        assert.throws(
+            () => parseCookieInput('csrftoken=abc'),
+            (e) => e instanceof CookieImportError && e.code === 'COOKIE_INVALID' && e.status === 400
+        )
+        assert.throws(() => parseCookieInput(''), { code: 'COOKIE_INVALID' })
+    })
+
+    test('fails with COOKIE_FORMAT_UNKNOWN for unusable JSON', () => {
+        assert.throws(() => parseCookieInput('{not json'), { code: 'COOKIE_FORMAT_UNKNOWN' })
+        assert.throws(() => parseCookieInput('{"hello": 1}'), { code: 'COOKIE_FORMAT_UNKNOWN' })
+    })
+})
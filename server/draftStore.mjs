@@ -0,0 +1,121 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { safeSegment } from './accountStore.mjs'
+
+const MAX_SNAPSHOTS = 20
+// Autosaves only turn into a timeline entry when the previous one is at least this old.
+const AUTO_SNAPSHOT_INTERVAL = 1000 * 60 * 10
+
+/**
+ * Code drafts, one JSON file per (domain, account, problem):
+ *   { lastLang, langs: { [langSlug]: { code, updatedAt, snapshots: [{ code, at, reason }] } } }
+ *
+ * Snapshots are newest-first and capped at MAX_SNAPSHOTS. Reasons: `auto`, `submit`, `restore`, `reset`,
+ * `review` (cleared to start a spaced-repetition review from scratch).
+ */
+export function createDraftStore({ dir }) {
+    // Serialise read-modify-write per file; autosave and submit can race.
+    const queues = new Map()
+
+    function fileFor(owner, titleSlug) {
+        return path.join(dir, safeSegment(owner.domain), safeSegment(owner.user), `${safeSegment(titleSlug)}.json`)
+    }
+
+    async function read(file) {
+        try {
+            const data = JSON.parse(await fs.readFile(file, 'utf8'))
+            return data && typeof data === 'object' ? { lastLang: data.lastLang ?? null, langs: data.langs || {} } : null
+        } catch {
+            return null
+        }
+    }
+
+    async function write(file, data) {
+        await fs.mkdir(path.dirname(file), { recursive: true })
+        const tmp = `${file}.${process.pid}.tmp`
+        await fs.writeFile(tmp, JSON.stringify(data))
+        await fs.rename(tmp, file)
+    }
+
+    function withFile(file, fn) {
+        const prev = queues.get(file) || Promise.resolve()
+        const next = prev.then(fn, fn)
+        queues.set(file, next)
+        next.finally(() => {
+            if (queues.get(file) === next) queues.delete(file)
+        }).catch(() => {})
+        return next
+    }
+
+    function pushSnapshot(entry, code, reason, now) {
+        if (!code) return
+        if (entry.snapshots[0]?.code === code) return
+        entry.snapshots.unshift({ code, at: now, reason })
+        entry.snapshots.length = Math.min(entry.snapshots.length, MAX_SNAPSHOTS)
+    }
+
+    return {
+        async list(owner, titleSlug) {
+            const data = await read(fileFor(owner, titleSlug))
+            if (!data) return { lastLang: null, langs: {} }
+            const langs = {}
+            for (const [lang, entry] of Object.entries(data.langs)) {
+                langs[lang] = { updatedAt: entry.updatedAt ?? null, hasCode: entry.code != null }
+            }
+            return { lastLang: data.lastLang, langs }
+        },
+
+        async get(owner, titleSlug, lang) {
+            const data = await read(fileFor(owner, titleSlug))
+            const entry = data?.langs?.[lang]
+            if (!entry) return null
+            return { code: entry.code ?? null, updatedAt: entry.updatedAt ?? null, snapshots: entry.snapshots || [] }
+        },
+
+        /**
+         * Saves the working copy. `snapshot` forces a timeline entry with that reason
+         * (e.g. `submit`); otherwise one is taken only every AUTO_SNAPSHOT_INTERVAL.
+         */
+        async save(owner, titleSlug, lang, code, { snapshot } = {}) {
+            const file = fileFor(owner, titleSlug)
+            return withFile(file, async () => {
+                const data = (await read(file)) || { lastLang: null, langs: {} }
+                const entry = data.langs[lang] || { code: null, updatedAt: null, snapshots: [] }
+                const now = Date.now()
+
+                if (snapshot) {
+                    pushSnapshot(entry, code, snapshot, now)
+                } else if (entry.code != null && entry.code !== code) {
+                    const last = entry.snapshots[0]
+                    if (!last || now - last.at >= AUTO_SNAPSHOT_INTERVAL) pushSnapshot(entry, entry.code, 'auto', now)
+                }
+
+                entry.code = code
+                entry.updatedAt = now
+                data.langs[lang] = entry
+                data.lastLang = lang
+                await write(file, data)
+                return { code: entry.code, updatedAt: entry.updatedAt, snapshots: entry.snapshots }
+            })
+        },
+
+        /**
+         * Drops the working copy (back to the official template) but keeps the timeline,
+         * recording the discarded code as a `reset` (or the given `reason`) snapshot.
+         */
+        async reset(owner, titleSlug, lang, { reason = 'reset' } = {}) {
+            const file = fileFor(owner, titleSlug)
+            return withFile(file, async () => {
+                const data = await read(file)
+                const entry = data?.langs?.[lang]
+                if (!entry) return null
+
+                pushSnapshot(entry, entry.code, reason, Date.now())
+                entry.code = null
+                entry.updatedAt = Date.now()
+                await write(file, data)
+                return { code: null, updatedAt: entry.updatedAt, snapshots: entry.snapshots }
+            })
+        },
+    }
+}
@@ -0,0 +1,93 @@
+// Exports accepted solutions through a running LeetLite server; see USAGE.
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+
+const POLL_INTERVAL = 1000
+
+const USAGE = `Exports accepted solutions through a running LeetLite server:
+  LC_COOKIE='LEETCODE_SESSION=...; csrftoken=...' npm run export -- --out /abs/path [--domain leetcode.cn]
+Options: --server (default http://127.0.0.1:$PORT), --out, --domain, --slugs two-sum,add-two-numbers, --help
+LC_ACCESS_PASSWORD is sent first when the server asks for one. The server only writes under LC_EXPORT_DIR
+and LC_EXPORT_ROOTS, so start it with the --out directory in one of those.
+`
+
+let args
+try {
+    args = parseArgs({
+        options: {
+            server: { type: 'string', default: `http://127.0.0.1:${process.env.PORT || 8787}` },
+            out: { type: 'string', default: process.env.LC_EXPORT_DIR || '' },
+            domain: { type: 'string', default: process.env.LC_DOMAIN || 'leetcode.com' },
+            slugs: { type: 'string', default: '' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    }).values
+} catch (e) {
+    process.stderr.write(`${e.message}\n\n${USAGE}`)
+    process.exit(2)
+}
+if (args.help) {
+    process.stdout.write(USAGE)
+    process.exit(0)
+}
+
+function fail(message) {
+    // eslint-disable-next-line no-console
+    console.error(message)
+    process.exit(1)
+}
+
+// Cookies the server sets (CSRF token, access, session), sent back on every request.
+const jar = new Map()
+
+async function request(method, url, { body } = {}) {
+    const csrf = jar.get('lc_csrf')
+    const resp = await fetch(new URL(url, args.server), {
+        method,
+        headers: {
+            ...(body ? { 'content-type': 'application/json' } : {}),
+            ...(jar.size ? { cookie: [...jar].map(([k, v]) => `${k}=${v}`).join('; ') } : {}),
+            ...(csrf ? { 'x-csrf-token': decodeURIComponent(csrf) } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    })
+    for (const c of resp.headers.getSetCookie()) {
+        const [pair] = c.split(';')
+        const i = pair.indexOf('=')
+        jar.set(pair.slice(0, i), pair.slice(i + 1))
+    }
+    const json = await resp.json().catch(() => ({}))
+    if (!resp.ok) fail(`${method} ${url}: ${json.error || resp.status}`)
+    return { json }
+}
+
+const cookie = String(process.env.LC_COOKIE || '').trim()
+if (!cookie) fail('Set LC_COOKIE to your leetcode cookie (LEETCODE_SESSION=...; csrftoken=...).')
+
+const access = (await request('GET', '/api/access')).json
+if (access.enabled && !access.unlocked) {
+    const password = process.env.LC_ACCESS_PASSWORD
+    if (!password) fail('The server has an access password; set LC_ACCESS_PASSWORD.')
+    await request('POST', '/api/access', { body: { password } })
+}
+
+await request('POST', '/api/auth/cookie', { body: { cookie, domain: args.domain } })
+if (!jar.has('lc_sid')) fail('The server did not start a session.')
+
+const slugs = args.slugs ? args.slugs.split(',').map((s) => s.trim()).filter(Boolean) : undefined
+const dir = args.out ? path.resolve(args.out) : undefined
+let { job } = (await request('POST', '/api/export', { body: { dir, slugs } })).json
+
+while (job.running) {
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL))
+    job = (await request('GET', '/api/export')).json.job
+    process.stdout.write(`\r${job.done}/${job.total} problems, ${job.written} file(s) written`)
+}
+
+// eslint-disable-next-line no-console
+console.log(`\nExported to ${job.dir}: ${job.written} written, ${job.unchanged} unchanged, ${job.failed} failed`)
+for (const e of job.errors || []) {
+    // eslint-disable-next-line no-console
+    console.log(`  ${e.slug ?? '-'}: ${e.error}`)
+}
+await request('POST', '/api/auth/logout')
@@ -1,24 +1,130 @@
 import crypto from 'node:crypto'
 import express from 'express'
 import cookieParser from 'cookie-parser'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createFileSessionStore, createMemorySessionStore } from './sessionStore.mjs'
+import { createDiskCache } from './cache.mjs'
+import { createDraftStore } from './draftStore.mjs'
+import { createAccountStore } from './accountStore.mjs'
+import { createSubmissionWatcher } from './submissionWatch.mjs'
+import { createVirtualContestStore } from './virtualContest.mjs'
+import { LocalJudgeError, createLocalJudge } from './localJudge.mjs'
+import { StudyListError, createStudyListStore } from './studyLists.mjs'
+import { RECALL_QUALITY, createReviewStore } from './reviewSchedule.mjs'
+import { assertExportDir, ExportDirError, exportSolutions, resolveExportDir } from './solutionExport.mjs'
+import { CookieImportError, parseCookieInput, sessionExpiresAt } from './cookieImport.mjs'
+import { createAccessGuard, createCsrfGuard, createHostGuard, isLoopbackHost, localAddresses } from './security.mjs'
+import {
+    UpstreamError,
+    createUpstreamClient,
+    describeUpstreamFailure,
+    httpFailure,
+    isTransientFailure,
+    tryUpstream,
+} from './upstream.mjs'
+import {
+    STATUS_MESSAGES,
+    ZH_ACCEPT_LANGUAGE,
+    createLeetCodeClient,
+    isCnDomain,
+    normalizeDifficulty,
+} from './leetcode.mjs'
 
 const PORT = Number(process.env.PORT || 8787)
+// Loopback only by default; LC_HOST=0.0.0.0 opts in to serving the LAN.
+const HOST = process.env.LC_HOST || '127.0.0.1'
+// Extra host names the browser may use to reach the API (Host / Origin), comma-separated.
+const ALLOWED_HOSTS = String(process.env.LC_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean)
+// Optional password every browser must enter before using the API; meant for shared machines.
+const ACCESS_PASSWORD = process.env.LC_ACCESS_PASSWORD || ''
+// Local state (sessions, encryption key) lives outside the source tree so `node --watch` ignores it.
+const DATA_DIR = process.env.LC_DATA_DIR || fileURLToPath(new URL('../.data/', import.meta.url))
+const SESSION_MAX_AGE = 1000 * 60 * 60 * 24 * 7
+const PROBLEM_LIST_TTL = Number(process.env.LC_PROBLEM_LIST_TTL || 1000 * 60 * 30)
+const QUESTION_TTL = Number(process.env.LC_QUESTION_TTL || 1000 * 60 * 60 * 24 * 7)
+const STATS_TTL = Number(process.env.LC_STATS_TTL || 1000 * 60 * 5)
+const DAILY_TTL = 1000 * 60 * 30
+const CONTEST_PAGE_DEFAULT = 10
+const CONTEST_PAGE_MAX = 30
+const PREFETCH_DELAY = 300
+const PROBLEM_PAGE_DEFAULT = 50
+const PROBLEM_PAGE_MAX = 500
+const UPSTREAM_TIMEOUT = Number(process.env.LC_UPSTREAM_TIMEOUT || 15000)
+const UPSTREAM_RETRIES = Number(process.env.LC_UPSTREAM_RETRIES || 2)
+const UPSTREAM_BURST = Number(process.env.LC_UPSTREAM_BURST || 10)
+const UPSTREAM_RATE = Number(process.env.LC_UPSTREAM_RATE || 3)
+const LOCAL_TIME_LIMIT = Number(process.env.LC_LOCAL_TIME_LIMIT || 5)
+const LOCAL_MEMORY_LIMIT = Number(process.env.LC_LOCAL_MEMORY_LIMIT || 256)
+const NOTE_MAX_LENGTH = 20000
+const TEMPLATE_MAX_LENGTH = 20000
+// Login accepts whole HAR exports, which dwarf every other request body.
+const COOKIE_IMPORT_LIMIT = '50mb'
+// Default target of `/api/export`; a request may name another absolute directory.
+const EXPORT_DIR = process.env.LC_EXPORT_DIR || fileURLToPath(new URL('../solutions/', import.meta.url))
+// Directories exports may be written under: EXPORT_DIR plus LC_EXPORT_ROOTS (separated like PATH).
+const EXPORT_ROOTS = [EXPORT_DIR, ...String(process.env.LC_EXPORT_ROOTS || '').split(path.delimiter)]
+    .filter(Boolean)
+    .map((dir) => path.resolve(dir))
+
+const LAN_BIND = !isLoopbackHost(HOST)
 
 const app = express()
-app.use(express.json({ limit: '1mb' }))
+// The vite dev server proxies from loopback and forwards the browser's address, so the access lockout
+// counts each client instead of everyone as 127.0.0.1; forwarding headers from elsewhere are ignored.
+app.set('trust proxy', 'loopback')
+const jsonBody = express.json({ limit: '1mb' })
+// The cookie import parses its own, larger body once the guards below have let the request through.
+app.use((req, res, next) => (req.path === '/api/auth/cookie' ? next() : jsonBody(req, res, next)))
 app.use(cookieParser())
+// Serving the LAN allows this machine's own names; anything else must be listed in LC_ALLOWED_HOSTS.
+app.use('/api', createHostGuard({ allowedHosts: [...ALLOWED_HOSTS, ...(LAN_BIND ? localAddresses() : [])] }))
+app.use('/api', createCsrfGuard())
+
+const access = createAccessGuard({
+    password: ACCESS_PASSWORD,
+    keyFile: path.join(DATA_DIR, 'access.key'),
+    maxAge: SESSION_MAX_AGE,
+})
+app.use('/api', access.require(['/health', '/access']))
 
 /**
- * Minimal in-memory session store.
- * sessionId -> { domain, cookie, csrftoken, user, acceptLanguage }
+ * sessionId -> { domain, cookie, csrftoken, user }
+ * Set LC_SESSION_STORE=memory to keep sessions in memory only (lost on restart).
  */
-const sessions = new Map()
-
-function extractCookieValue(cookieStr, name) {
-    const re = new RegExp(`(?:^|;\\s*)${name}=([^;]+)`, 'i')
-    const match = cookieStr.match(re)
-    return match ? match[1] : null
-}
+const sessions =
+    process.env.LC_SESSION_STORE === 'memory'
+        ? createMemorySessionStore({ maxAge: SESSION_MAX_AGE })
+        : createFileSessionStore({ dir: DATA_DIR, maxAge: SESSION_MAX_AGE })
+
+setInterval(() => sessions.prune(), 1000 * 60 * 60).unref()
+
+const cache = createDiskCache({ dir: `${DATA_DIR}/cache` })
+const drafts = createDraftStore({ dir: `${DATA_DIR}/drafts` })
+const prefsStore = createAccountStore({ dir: `${DATA_DIR}/prefs` })
+const submissionWatcher = createSubmissionWatcher()
+const virtualContests = createVirtualContestStore({ dir: `${DATA_DIR}/contests` })
+const studyLists = createStudyListStore({ dir: `${DATA_DIR}/lists` })
+// { notes: { [titleSlug]: { text, updatedAt } } } per account; markdown, rendered by the client.
+const notesStore = createAccountStore({ dir: `${DATA_DIR}/notes` })
+// { templates: { [langSlug]: { text, updatedAt } } } per account; merged into the official starter by the client.
+const templatesStore = createAccountStore({ dir: `${DATA_DIR}/templates` })
+const reviews = createReviewStore({ dir: `${DATA_DIR}/reviews` })
+const localJudge = createLocalJudge({
+    timeLimit: LOCAL_TIME_LIMIT,
+    memoryLimit: LOCAL_MEMORY_LIMIT,
+    python: process.env.LC_PYTHON || 'python3',
+})
+const upstream = createUpstreamClient({
+    timeout: UPSTREAM_TIMEOUT,
+    retries: UPSTREAM_RETRIES,
+    burst: UPSTREAM_BURST,
+    ratePerSecond: UPSTREAM_RATE,
+})
+const leetcode = createLeetCodeClient({ upstream })
 
 function getSession(req) {
     const sid = req.cookies.lc_sid
@@ -26,6 +132,12 @@ function getSession(req) {
     return sessions.get(sid) || null
 }
 
+// Sessions are mutated in place by handlers (e.g. user refresh); write them back.
+function saveSession(req, session) {
+    const sid = req.cookies.lc_sid
+    if (sid) sessions.set(sid, session)
+}
+
 function requireSession(req, res) {
     const session = getSession(req)
     if (!session) {
@@ -40,10 +152,10 @@ function setSession(res, session) {
     sessions.set(sid, session)
     res.cookie('lc_sid', sid, {
         httpOnly: true,
-        sameSite: 'lax',
-        secure: false,
+        sameSite: 'strict',
+        secure: res.req.secure,
         path: '/',
-        maxAge: 1000 * 60 * 60 * 24 * 7,
+        maxAge: SESSION_MAX_AGE,
     })
     return sid
 }
@@ -54,326 +166,280 @@ function clearSession(req, res) {
     res.clearCookie('lc_sid', { path: '/' })
 }
 
-async function lcFetch(session, path, init = {}) {
-    const domain = session?.domain || 'leetcode.com'
-    const url = path.startsWith('http') ? path : `https://${domain}${path}`
-
-    const headers = new Headers(init.headers || {})
-    if (session?.cookie) headers.set('cookie', session.cookie)
-    if (session?.csrftoken) headers.set('x-csrftoken', session.csrftoken)
-    if (session?.acceptLanguage && !headers.has('accept-language')) {
-        headers.set('accept-language', session.acceptLanguage)
-    }
-    if (!headers.has('referer')) headers.set('referer', `https://${domain}/`)
-    if (!headers.has('origin')) headers.set('origin', `https://${domain}`)
-
-    return fetch(url, {
-        ...init,
-        headers,
-    })
-}
-
-async function lcSubmit(session, { titleSlug, questionId, lang, typedCode }) {
-    const domain = session?.domain || 'leetcode.com'
-    const resp = await lcFetch(session, `/problems/${encodeURIComponent(titleSlug)}/submit/`, {
-        method: 'POST',
-        headers: {
-            'content-type': 'application/json',
-            'x-requested-with': 'XMLHttpRequest',
-            referer: `https://${domain}/problems/${encodeURIComponent(titleSlug)}/`,
-        },
-        body: JSON.stringify({ lang, question_id: questionId, typed_code: typedCode }),
-    })
-
-    const rawText = await resp.text().catch(() => '')
-    let json = null
-    try {
-        json = rawText ? JSON.parse(rawText) : null
-    } catch {
-        // keep json as null
-    }
-
-    if (!resp.ok) {
-        return { ok: false, status: resp.status, error: 'HTTP_ERROR', raw: json ?? rawText }
-    }
-
-    const submissionId = json?.submission_id ?? json?.submissionId
-    if (!submissionId) {
-        return { ok: false, status: resp.status, error: 'NO_SUBMISSION_ID', raw: json ?? rawText }
-    }
-
-    return { ok: true, status: resp.status, submissionId: Number(submissionId) }
-}
-
-async function lcSubmissionCheck(session, submissionId, { titleSlug } = {}) {
-    const domain = session?.domain || 'leetcode.com'
-    const referer = titleSlug
-        ? `https://${domain}/problems/${encodeURIComponent(titleSlug)}/submissions/`
-        : `https://${domain}/submissions/detail/${encodeURIComponent(String(submissionId))}/`
-
-    const resp = await lcFetch(session, `/submissions/detail/${encodeURIComponent(String(submissionId))}/check/`, {
-        method: 'GET',
-        headers: {
-            'x-requested-with': 'XMLHttpRequest',
-            referer,
-        },
-    })
-
-    const rawText = await resp.text().catch(() => '')
-    let json = null
-    try {
-        json = rawText ? JSON.parse(rawText) : null
-    } catch {
-        // keep json as null
-    }
-
-    if (!resp.ok) {
-        return { ok: false, status: resp.status, error: 'HTTP_ERROR', raw: json ?? rawText }
+// Logs the upstream body for debugging and sends the browser a structured error instead.
+function sendUpstreamError(res, result) {
+    if (result.raw !== undefined) {
+        // eslint-disable-next-line no-console
+        console.warn('[lc-proxy] upstream failure', result.status, result.error, result.raw)
     }
-
-    return { ok: true, status: resp.status, data: json }
+    const { status, body } = describeUpstreamFailure(result)
+    if (body.retryAfter != null) res.set('retry-after', String(body.retryAfter))
+    return res.status(status).json(body)
 }
 
-const QUERY_USER_COM = `
-    query globalData {
-        userStatus {
-            id: userId
-            name: username
-            is_signed_in: isSignedIn
-            is_premium: isPremium
-            is_verified: isVerified
-            session_id: activeSessionId
+const QUERY_USER_STATS_COM = `
+    query userStats($username: String!, $recentLimit: Int!) {
+        allQuestionsCount {
+            difficulty
+            count
+        }
+        matchedUser(username: $username) {
+            submitStatsGlobal {
+                acSubmissionNum {
+                    difficulty
+                    count
+                }
+            }
+            languageProblemCount {
+                language_name: languageName
+                problems_solved: problemsSolved
+            }
+            userCalendar {
+                total_active_days: totalActiveDays
+                submission_calendar: submissionCalendar
+            }
+        }
+        recentAcSubmissionList(username: $username, limit: $recentLimit) {
+            id
+            title
+            title_slug: titleSlug
+            timestamp
+            lang
         }
     }
 `
 
-const QUERY_USER_CN = `
-    query globalData {
-        userStatus {
-            slug: userSlug
-            name: username
-            real_name: realName
-            is_signed_in: isSignedIn
-            is_premium: isPremium
-            is_verified: isVerified
+const QUERY_USER_STATS_CN = `
+    query userStats($userSlug: String!) {
+        userProfileUserQuestionProgress(userSlug: $userSlug) {
+            accepted: numAcceptedQuestions {
+                difficulty
+                count
+            }
+            failed: numFailedQuestions {
+                difficulty
+                count
+            }
+            untouched: numUntouchedQuestions {
+                difficulty
+                count
+            }
+        }
+        userLanguageProblemCount(userSlug: $userSlug) {
+            language_name: languageName
+            problems_solved: problemsSolved
+        }
+        userCalendar(userSlug: $userSlug) {
+            total_active_days: totalActiveDays
+            submission_calendar: submissionCalendar
+        }
+        recentACSubmissions(userSlug: $userSlug) {
+            id: submissionId
+            timestamp: submitTime
+            question {
+                title
+                translated_title: translatedTitle
+                title_slug: titleSlug
+            }
         }
     }
 `
 
-function isCnDomain(domain) {
-    return String(domain || '').toLowerCase().endsWith('leetcode.cn')
-}
-
-function normalizeUser(domain, userStatus) {
-    if (!userStatus) return null
-
-    const isVerifiedRaw = userStatus.is_verified
-    const isVerified =
-        typeof isVerifiedRaw === 'boolean' ? isVerifiedRaw : isVerifiedRaw == null ? null : Boolean(isVerifiedRaw)
-
-    if (isCnDomain(domain)) {
-        return {
-            id: null,
-            name: userStatus.name ?? null,
-            is_signed_in: Boolean(userStatus.is_signed_in),
-            is_premium: Boolean(userStatus.is_premium),
-            is_verified: isVerified,
-            session_id: null,
-            slug: userStatus.slug ?? null,
-            real_name: userStatus.real_name ?? null,
+const QUERY_DAILY_COM = `
+    query questionOfToday {
+        activeDailyCodingChallengeQuestion {
+            date
+            question {
+                frontend_id: questionFrontendId
+                title
+                title_slug: titleSlug
+                difficulty
+                paid_only: isPaidOnly
+                ac_rate: acRate
+                status
+            }
         }
     }
-
-    return {
-        id: userStatus.id ?? null,
-        name: userStatus.name ?? null,
-        is_signed_in: Boolean(userStatus.is_signed_in),
-        is_premium: Boolean(userStatus.is_premium),
-        is_verified: isVerified,
-        session_id: userStatus.session_id ?? null,
-    }
-}
-
-const QUERY_QUESTION = `
-  query ($titleSlug: String!) {
-    question(titleSlug: $titleSlug) {
-      id: questionId
-      frontend_id: questionFrontendId
-      title
-            translated_title: translatedTitle
-      title_slug: titleSlug
-      is_paid_only: isPaidOnly
-      difficulty
-      likes
-      dislikes
-      content
-            translated_content: translatedContent
-      testcase_list: exampleTestcaseList
-      topic_tags: topicTags {
-        name
-        slug
-      }
-      code_snippets: codeSnippets {
-        lang
-        lang_slug: langSlug
-        code
-      }
-    }
-  }
 `
 
-// Some schema variants use titleCn instead of translatedTitle.
-const QUERY_QUESTION_TITLECN = `
-    query ($titleSlug: String!) {
-        question(titleSlug: $titleSlug) {
-            id: questionId
-            frontend_id: questionFrontendId
-            title
-            translated_title: titleCn
-            title_slug: titleSlug
-            is_paid_only: isPaidOnly
-            difficulty
-            likes
-            dislikes
-            content
-            translated_content: translatedContent
-            testcase_list: exampleTestcaseList
-            topic_tags: topicTags {
-                name
-                slug
-            }
-            code_snippets: codeSnippets {
-                lang
-                lang_slug: langSlug
-                code
+const QUERY_DAILY_CN = `
+    query questionOfToday {
+        todayRecord {
+            date
+            question {
+                frontend_id: questionFrontendId
+                title
+                translated_title: translatedTitle
+                title_slug: titleSlug
+                difficulty
+                paid_only: isPaidOnly
+                ac_rate: acRate
+                status
             }
         }
     }
 `
 
-const QUERY_PROBLEMSET_LIST = `
-    query problemsetQuestionList($categorySlug: String, $limit: Int, $skip: Int, $filters: QuestionListFilterInput) {
-        problemsetQuestionList(categorySlug: $categorySlug, limit: $limit, skip: $skip, filters: $filters) {
-            total
-            questions {
-                id: questionId
-                frontendId: frontendQuestionId
+const QUERY_PAST_CONTESTS_COM = `
+    query pastContests($pageNo: Int, $numPerPage: Int) {
+        pastContests(pageNo: $pageNo, numPerPage: $numPerPage) {
+            total: totalNum
+            data {
                 title
-                titleZh: translatedTitle
-                titleSlug
-                paidOnly: isPaidOnly
-                difficulty
-                status
-                acRate
+                title_slug: titleSlug
+                start_time: startTime
+                duration
             }
         }
     }
 `
 
-// Some LeetCode schema variants expose Chinese title as `titleCn` instead of `translatedTitle` on list nodes.
-const QUERY_PROBLEMSET_LIST_TITLECN = `
-    query problemsetQuestionList($categorySlug: String, $limit: Int, $skip: Int, $filters: QuestionListFilterInput) {
-        problemsetQuestionList(categorySlug: $categorySlug, limit: $limit, skip: $skip, filters: $filters) {
-            total
-            questions {
-                id: questionId
-                frontendId: frontendQuestionId
+const QUERY_PAST_CONTESTS_CN = `
+    query contestHistory($pageNum: Int!, $pageSize: Int) {
+        contestHistory(pageNum: $pageNum, pageSize: $pageSize) {
+            total: totalNum
+            contests {
                 title
-                titleZh: titleCn
-                titleSlug
-                paidOnly: isPaidOnly
-                difficulty
-                status
-                acRate
+                title_slug: titleSlug
+                start_time: startTime
+                duration
             }
         }
     }
 `
 
-async function lcProblemsetQuestionList(session, variables) {
-    const first = await lcGraphql(session, QUERY_PROBLEMSET_LIST, variables)
-    if (first.ok) return first
-    const second = await lcGraphql(session, QUERY_PROBLEMSET_LIST_TITLECN, variables)
-    if (second.ok) return second
-    return first
-}
+app.get('/api/health', (_req, res) => {
+    res.json({ ok: true })
+})
 
-async function lcGraphql(session, query, variables) {
-    const resp = await lcFetch(session, '/graphql/', {
-        method: 'POST',
-        headers: {
-            'content-type': 'application/json',
-        },
-        body: JSON.stringify({ query, variables }),
-    })
+// Whether an access password is configured and this browser has entered it.
+app.get('/api/access', (req, res) => {
+    res.json({ enabled: access.enabled, unlocked: access.isUnlocked(req) })
+})
 
-    const text = await resp.text()
-    let json
-    try {
-        json = JSON.parse(text)
-    } catch {
-        return { ok: false, status: resp.status, error: 'INVALID_JSON', raw: text }
+/** Body: `{ password }`. Wrong guesses answer 401 ACCESS_DENIED; repeated ones 429 ACCESS_THROTTLED. */
+app.post('/api/access', (req, res) => {
+    const result = access.unlock(req, res, String(req.body?.password || ''))
+    if (!result.ok) {
+        if (result.retryAfter != null) res.set('retry-after', String(result.retryAfter))
+        return res.status(result.status).json({ error: result.error, retryAfter: result.retryAfter ?? null })
     }
+    res.json({ enabled: access.enabled, unlocked: true })
+})
 
-    if (!resp.ok) {
-        return { ok: false, status: resp.status, error: 'HTTP_ERROR', raw: json }
-    }
+app.delete('/api/access', (_req, res) => {
+    access.lock(res)
+    res.json({ enabled: access.enabled, unlocked: !access.enabled })
+})
 
-    if (json.errors?.length) {
-        return { ok: false, status: 200, error: 'GRAPHQL_ERROR', raw: json }
-    }
+/**
+ * A session holds one account per site. The active one is mirrored at the top level (`domain`, `cookie`,
+ * `csrftoken`, `user`) so handlers keep working on `session` directly; `accounts` keeps them all.
+ * Sessions from before linking only have the top-level account.
+ */
+function linkedAccounts(session) {
+    return (
+        session.accounts || {
+            [session.domain]: { cookie: session.cookie, csrftoken: session.csrftoken, user: session.user },
+        }
+    )
+}
 
-    return { ok: true, status: 200, data: json.data }
+// The session as seen by one linked site, or null when that site is not linked.
+function accountSession(session, domain) {
+    if (!domain || domain === session.domain) return session
+    const account = linkedAccounts(session)[domain]
+    return account ? { domain, ...account } : null
 }
 
-async function lcQuestion(session, titleSlug) {
-    const variables = { titleSlug }
-    const first = await lcGraphql(session, QUERY_QUESTION, variables)
-    if (first.ok) return first
-    const second = await lcGraphql(session, QUERY_QUESTION_TITLECN, variables)
-    if (second.ok) return second
-    return first
+function otherAccounts(session) {
+    return Object.keys(linkedAccounts(session))
+        .filter((domain) => domain !== session.domain)
+        .map((domain) => accountSession(session, domain))
 }
 
-app.get('/api/health', (_req, res) => {
-    res.json({ ok: true })
-})
+// `expiresAt` is read from the LEETCODE_SESSION token (epoch ms), null when it carries none.
+function publicAccounts(session) {
+    return Object.entries(linkedAccounts(session)).map(([domain, account]) => ({
+        domain,
+        name: account.user?.name ?? null,
+        active: domain === session.domain,
+        expiresAt: sessionExpiresAt(account.cookie),
+    }))
+}
+
+// What the auth routes answer with: the active account plus every linked site.
+function authState(session) {
+    return {
+        user: session.user,
+        domain: session.domain,
+        expiresAt: sessionExpiresAt(session.cookie),
+        accounts: publicAccounts(session),
+    }
+}
+
+// Makes `account` the active one, keeping the others linked.
+function activateAccount(session, account) {
+    const { domain, cookie, csrftoken, user } = account
+    session.accounts = { ...linkedAccounts(session), [domain]: { cookie, csrftoken, user } }
+    Object.assign(session, { domain, cookie, csrftoken, user })
+}
+
+// Handlers that can act for another linked site take `domain` from the query or body; answers 400 when unlinked.
+function requireAccount(req, res, session) {
+    const domain = String(req.query.domain || req.body?.domain || '').trim()
+    const account = accountSession(session, domain)
+    if (!account) res.status(400).json({ error: 'ACCOUNT_NOT_LINKED' })
+    return account
+}
 
-app.post('/api/auth/cookie', async (req, res) => {
-    const cookie = String(req.body?.cookie || '').trim()
-    const domain = String(req.body?.domain || 'leetcode.com').trim() || 'leetcode.com'
+/**
+ * Body: `{ cookie, domain, link? }`. `cookie` is a Cookie header or anything cookieImport.mjs reads (cURL
+ * command, HAR, Set-Cookie lines, cookie jar); a site found in the data overrides `domain`. With `link`,
+ * the account joins the current session instead of replacing it.
+ */
+app.post('/api/auth/cookie', express.json({ limit: COOKIE_IMPORT_LIMIT }), async (req, res) => {
+    const input = String(req.body?.cookie || '').trim()
+    const preferred = String(req.body?.domain || 'leetcode.com').trim() || 'leetcode.com'
 
-    if (!cookie) {
+    if (!input) {
         return res.status(400).json({ error: 'COOKIE_REQUIRED' })
     }
 
-    const csrftoken = extractCookieValue(cookie, 'csrftoken')
-    const leetcodeSession = extractCookieValue(cookie, 'LEETCODE_SESSION')
-
-    if (!csrftoken || !leetcodeSession) {
-        return res.status(400).json({
-            error: 'COOKIE_INVALID',
-            message: 'Cookie 里需要包含 csrftoken 和 LEETCODE_SESSION。请从浏览器 Network 的 Request Headers 里复制 Cookie。',
-        })
+    let parsed
+    try {
+        parsed = parseCookieInput(input, { preferred })
+    } catch (e) {
+        if (!(e instanceof CookieImportError)) throw e
+        return res.status(e.status).json({ error: e.code, message: e.message })
     }
 
-    const session = {
+    const { cookie, csrftoken, format } = parsed
+    const domain = parsed.domain || preferred
+    const expiresAt = sessionExpiresAt(cookie)
+    // LeetCode's refusal is vague; a token past its own expiry explains it.
+    const expired = expiresAt != null && expiresAt <= Date.now()
+
+    const account = {
         domain,
         cookie,
         csrftoken,
         user: null,
-        // Hint LeetCode to return Chinese translations when available.
-        acceptLanguage: 'zh-CN,zh;q=0.9,en;q=0.8',
     }
-    const meQuery = isCnDomain(domain) ? QUERY_USER_CN : QUERY_USER_COM
-    const me = await lcGraphql(session, meQuery, {})
+    const me = await leetcode.userStatus(account)
 
     if (!me.ok) {
-        return res.status(401).json({ error: 'AUTH_FAILED', detail: me })
+        if (isTransientFailure(me)) return sendUpstreamError(res, me)
+        if (expired) return res.status(401).json({ error: 'COOKIE_EXPIRED', domain, expiresAt })
+        return res.status(401).json({
+            error: 'AUTH_FAILED',
+            message: 'LeetCode 拒绝了这个 Cookie，请确认站点选择正确且 Cookie 未过期。',
+        })
     }
 
-    const user = normalizeUser(domain, me.data?.userStatus)
+    const { user } = me
     if (!user?.is_signed_in) {
+        if (expired) return res.status(401).json({ error: 'COOKIE_EXPIRED', domain, expiresAt })
         return res.status(401).json({
             error: 'NOT_SIGNED_IN',
             user,
@@ -383,11 +449,19 @@ app.post('/api/auth/cookie', async (req, res) => {
     }
     const emailNotVerified = user?.is_verified === false
 
-    session.user = user
-    clearSession(req, res)
-    setSession(res, session)
+    account.user = user
+    let session = req.body?.link ? getSession(req) : null
+    if (session) {
+        activateAccount(session, account)
+        saveSession(req, session)
+    } else {
+        session = { accounts: {} }
+        activateAccount(session, account)
+        clearSession(req, res)
+        setSession(res, session)
+    }
 
-    return res.json({ user, emailNotVerified })
+    return res.json({ ...authState(session), emailNotVerified, format, detectedDomain: parsed.domain })
 })
 
 app.get('/api/auth/me', async (req, res) => {
@@ -395,15 +469,65 @@ app.get('/api/auth/me', async (req, res) => {
     if (!session) return
 
     // Refresh user status to detect expired cookies.
-    const meQuery = isCnDomain(session.domain) ? QUERY_USER_CN : QUERY_USER_COM
-    const me = await lcGraphql(session, meQuery, {})
+    const me = await tryUpstream(() => leetcode.userStatus(session))
+    if (isTransientFailure(me)) {
+        // Offline, throttled or LeetCode is down: keep the session so cached problems stay readable.
+        return res.json({ ...authState(session), offline: true })
+    }
     if (!me.ok) {
         clearSession(req, res)
         return res.status(401).json({ error: 'SESSION_EXPIRED' })
     }
 
-    session.user = normalizeUser(session.domain, me.data?.userStatus)
-    return res.json({ user: session.user })
+    // Older sessions pinned a Chinese Accept-Language; it is now chosen per request.
+    delete session.acceptLanguage
+    activateAccount(session, { ...session, user: me.user })
+    saveSession(req, session)
+    return res.json(authState(session))
+})
+
+/** Body: `{ domain }`. Makes another linked site the active account; an expired one is unlinked (401). */
+app.post('/api/auth/switch', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const domain = String(req.body?.domain || '').trim()
+    const account = accountSession(session, domain)
+    if (!account) return res.status(400).json({ error: 'ACCOUNT_NOT_LINKED' })
+    if (account === session) return res.json(authState(session))
+
+    const me = await tryUpstream(() => leetcode.userStatus(account))
+    if (!me.ok && !isTransientFailure(me)) {
+        delete session.accounts[domain]
+        saveSession(req, session)
+        return res.status(401).json({ error: 'ACCOUNT_EXPIRED', accounts: publicAccounts(session) })
+    }
+
+    activateAccount(session, me.ok ? { ...account, user: me.user } : account)
+    saveSession(req, session)
+    res.json(authState(session))
+})
+
+// Unlinks one site. Unlinking the active account switches to the remaining one, or signs out if none is left.
+app.delete('/api/auth/accounts/:domain', (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const domain = String(req.params.domain || '').trim()
+    const accounts = { ...linkedAccounts(session) }
+    if (!accounts[domain]) return res.status(404).json({ error: 'ACCOUNT_NOT_LINKED' })
+    delete accounts[domain]
+
+    const [next] = Object.keys(accounts)
+    if (!next) {
+        clearSession(req, res)
+        return res.json({ user: null, domain: null, accounts: [] })
+    }
+
+    session.accounts = accounts
+    if (domain === session.domain) activateAccount(session, { domain: next, ...accounts[next] })
+    saveSession(req, session)
+    res.json(authState(session))
 })
 
 app.post('/api/auth/logout', (req, res) => {
@@ -411,30 +535,208 @@ app.post('/api/auth/logout', (req, res) => {
     res.json({ ok: true })
 })
 
-app.get('/api/problems', async (req, res) => {
+const RECENT_AC_LIMIT = 15
+const DAY_SECONDS = 24 * 60 * 60
+
+function countsByDifficulty(list) {
+    const out = { Easy: 0, Medium: 0, Hard: 0 }
+    for (const x of Array.isArray(list) ? list : []) {
+        const d = normalizeDifficulty(x?.difficulty)
+        if (d !== 'Unknown') out[d] += Number(x.count) || 0
+    }
+    return { ...out, All: out.Easy + out.Medium + out.Hard }
+}
+
+// submissionCalendar is a JSON string of `{ "<UTC midnight, epoch seconds>": submissions }`.
+function parseSubmissionCalendar(raw) {
+    let data = raw
+    if (typeof raw === 'string') {
+        try {
+            data = JSON.parse(raw)
+        } catch {
+            data = null
+        }
+    }
+    const out = {}
+    for (const [ts, count] of Object.entries(data && typeof data === 'object' ? data : {})) {
+        const day = Math.floor(Number(ts) / DAY_SECONDS) * DAY_SECONDS
+        const n = Number(count) || 0
+        if (Number.isFinite(day) && n > 0) out[day] = (out[day] || 0) + n
+    }
+    return out
+}
+
+/** Current and longest run of consecutive UTC days with a submission; today may still be empty. */
+function computeStreaks(calendar, now = Date.now()) {
+    const days = Object.keys(calendar)
+        .map(Number)
+        .sort((a, b) => a - b)
+    let longest = 0
+    let run = 0
+    let prev = null
+    for (const day of days) {
+        run = prev != null && day - prev === DAY_SECONDS ? run + 1 : 1
+        longest = Math.max(longest, run)
+        prev = day
+    }
+
+    const today = Math.floor(now / 1000 / DAY_SECONDS) * DAY_SECONDS
+    let current = 0
+    let day = calendar[today] ? today : today - DAY_SECONDS
+    while (calendar[day]) {
+        current++
+        day -= DAY_SECONDS
+    }
+    return { current, longest }
+}
+
+function normalizeUserStats(domain, data) {
+    const cn = isCnDomain(domain)
+    let solved
+    let totals
+    let languages
+    let recent
+    let calendarRaw
+
+    if (cn) {
+        const progress = data?.userProfileUserQuestionProgress || {}
+        solved = countsByDifficulty(progress.accepted)
+        totals = countsByDifficulty([
+            ...(progress.accepted || []),
+            ...(progress.failed || []),
+            ...(progress.untouched || []),
+        ])
+        languages = data?.userLanguageProblemCount
+        calendarRaw = data?.userCalendar
+        recent = (data?.recentACSubmissions || []).map((x) => ({
+            id: x.id ?? null,
+            title: x.question?.title ?? null,
+            translated_title: x.question?.translated_title ?? null,
+            title_slug: x.question?.title_slug ?? null,
+            timestamp: Number(x.timestamp) || null,
+            lang: null,
+        }))
+    } else {
+        const user = data?.matchedUser
+        solved = countsByDifficulty(user?.submitStatsGlobal?.acSubmissionNum)
+        totals = countsByDifficulty(data?.allQuestionsCount)
+        languages = user?.languageProblemCount
+        calendarRaw = user?.userCalendar
+        recent = (data?.recentAcSubmissionList || []).map((x) => ({
+            id: x.id ?? null,
+            title: x.title ?? null,
+            translated_title: null,
+            title_slug: x.title_slug ?? null,
+            timestamp: Number(x.timestamp) || null,
+            lang: x.lang ?? null,
+        }))
+    }
+
+    const calendar = parseSubmissionCalendar(calendarRaw?.submission_calendar)
+    return {
+        solved,
+        totals,
+        calendar,
+        active_days: Number(calendarRaw?.total_active_days) || Object.keys(calendar).length,
+        streak: computeStreaks(calendar),
+        languages: (Array.isArray(languages) ? languages : [])
+            .map((x) => ({ name: String(x.language_name || ''), solved: Number(x.problems_solved) || 0 }))
+            .filter((x) => x.name && x.solved > 0)
+            .sort((a, b) => b.solved - a.solved),
+        recent_ac: recent.filter((x) => x.title_slug).slice(0, RECENT_AC_LIMIT),
+    }
+}
+
+async function fetchUserStats(session) {
+    const cn = isCnDomain(session.domain)
+    // .com looks profiles up by username, .cn by user slug.
+    const username = cn ? session.user?.slug || session.user?.name : session.user?.name
+    if (!username) return { ok: false, status: 401, error: 'NOT_SIGNED_IN' }
+
+    const resp = await tryUpstream(() =>
+        cn
+            ? leetcode.graphql(session, QUERY_USER_STATS_CN, { userSlug: username })
+            : leetcode.graphql(session, QUERY_USER_STATS_COM, { username, recentLimit: RECENT_AC_LIMIT })
+    )
+    if (!resp.ok) return resp
+    if (!cn && !resp.data?.matchedUser) return { ok: false, status: 404, error: 'NOT_FOUND' }
+    return { ok: true, stats: normalizeUserStats(session.domain, resp.data) }
+}
+
+/** Solved counts, submission calendar, languages and recent accepted submissions of the signed-in user. */
+app.get('/api/me/stats', async (req, res) => {
     const session = requireSession(req, res)
     if (!session) return
 
-    const q = String(req.query.q || '').trim().toLowerCase()
-    const category = String(req.query.category || 'algorithms').trim() || 'algorithms'
-    const lang = String(req.query.lang || '').trim().toLowerCase()
+    const key = `stats:${session.domain}:${session.user?.name || ''}`
+    const cached = await cache.get(key)
+    if (cached?.fresh && req.query.refresh !== '1') {
+        return res.json({ stats: cached.value, stale: false, cachedAt: cached.storedAt })
+    }
+
+    const fresh = await fetchUserStats(session)
+    if (fresh.ok) {
+        await cache.set(key, fresh.stats, STATS_TTL)
+        return res.json({ stats: fresh.stats, stale: false, cachedAt: null })
+    }
+    if (cached && isTransientFailure(fresh)) {
+        return res.json({ stats: cached.value, stale: true, cachedAt: cached.storedAt })
+    }
+    return sendUpstreamError(res, fresh)
+})
+
+function normalizeCategory(value) {
+    return String(value || 'algorithms').trim() || 'algorithms'
+}
+
+function wantsZh(lang) {
+    return lang === 'zh' || lang === 'zh-cn' || lang === 'cn'
+}
+
+// Accept-Language is chosen per request (catalog language, statements) rather than stored on the session.
+function withZh(session) {
+    return { ...session, acceptLanguage: ZH_ACCEPT_LANGUAGE }
+}
+
+const QUESTION_PAGE_SIZE = 1000
 
-    if (lang === 'zh' || lang === 'zh-cn' || lang === 'cn') {
-        session.acceptLanguage = 'zh-CN,zh;q=0.9,en;q=0.8'
+/**
+ * Every question of a category from problemsetQuestionList, which serves the catalog in pages: keeps asking
+ * until the upstream `total` is reached (or, without a total, until a short page). Resolves to
+ * `{ ok: true, questions }` or the first failed page's result.
+ */
+async function fetchAllQuestions(session, category) {
+    const questions = []
+    for (;;) {
+        const page = await tryUpstream(() =>
+            leetcode.problemsetQuestionList(session, {
+                categorySlug: category === 'algorithms' ? null : category,
+                limit: QUESTION_PAGE_SIZE,
+                skip: questions.length,
+                filters: {},
+            })
+        )
+        if (!page.ok) return page
+
+        const list = page.data?.problemsetQuestionList
+        const batch = Array.isArray(list?.questions) ? list.questions : []
+        questions.push(...batch)
+        const total = Number(list?.total)
+        const done = Number.isFinite(total) ? questions.length >= total : batch.length < QUESTION_PAGE_SIZE
+        if (!batch.length || done) return { ok: true, status: 200, questions }
     }
+}
 
+/**
+ * Fetches the whole catalog for a category, tags included. Filtering, sorting and paging happen
+ * locally (see queryProblems) so one cached copy serves every query, whichever upstream path filled it.
+ */
+async function fetchProblemList(session, { category, zh }) {
     // Prefer GraphQL list to get translated titles in one go.
-    if (lang === 'zh' || lang === 'zh-cn' || lang === 'cn') {
-        const filters = q ? { searchKeywords: q } : {}
-        const gql = await lcProblemsetQuestionList(session, {
-            categorySlug: category === 'algorithms' ? null : category,
-            limit: 2000,
-            skip: 0,
-            filters,
-        })
-
-        const questions = gql.ok ? gql.data?.problemsetQuestionList?.questions : null
-        if (Array.isArray(questions) && questions.length) {
+    if (zh) {
+        const gql = await fetchAllQuestions(withZh(session), category)
+        const questions = gql.ok ? gql.questions : null
+        if (questions?.length) {
             let items = questions.map((x) => {
                 const idNum = Number(x.id)
                 return {
@@ -444,9 +746,10 @@ app.get('/api/problems', async (req, res) => {
                     titleZh: x.titleZh ?? null,
                     titleSlug: x.titleSlug ?? '',
                     paidOnly: Boolean(x.paidOnly),
-                    difficulty: x.difficulty || 'Unknown',
+                    difficulty: normalizeDifficulty(x.difficulty),
                     status: x.status || null,
                     acRate: typeof x.acRate === 'number' ? x.acRate : x.acRate == null ? null : Number(x.acRate),
+                    tags: Array.isArray(x.tags) ? x.tags.map((t) => t.slug).filter(Boolean) : null,
                 }
             })
 
@@ -456,19 +759,10 @@ app.get('/api/problems', async (req, res) => {
                 items.some((it) => !it.titleZh && it.titleSlug)
 
             if (needCnFill) {
-                const cnSession = {
-                    domain: 'leetcode.cn',
-                    acceptLanguage: 'zh-CN,zh;q=0.9,en;q=0.8',
-                }
-                const cnGql = await lcProblemsetQuestionList(cnSession, {
-                    categorySlug: category === 'algorithms' ? null : category,
-                    limit: 2000,
-                    skip: 0,
-                    filters,
-                })
-
-                const cnQuestions = cnGql.ok ? cnGql.data?.problemsetQuestionList?.questions : null
-                if (Array.isArray(cnQuestions) && cnQuestions.length) {
+                const cnSession = withZh({ domain: 'leetcode.cn' })
+                const cnGql = await fetchAllQuestions(cnSession, category)
+                const cnQuestions = cnGql.ok ? cnGql.questions : null
+                if (cnQuestions?.length) {
                     const cnMap = new Map(
                         cnQuestions
                             .filter((x) => x?.titleSlug)
@@ -483,22 +777,24 @@ app.get('/api/problems', async (req, res) => {
                 }
             }
 
-            return res.json({ items })
+            return { ok: true, items }
         }
         // If GraphQL fails (schema/cookie/upstream), fall back to REST below.
     }
 
-    const resp = await lcFetch(session, `/api/problems/${encodeURIComponent(category)}/`, {
-        method: 'GET',
+    const rest = await tryUpstream(async () => {
+        const resp = await leetcode.fetch(session, `/api/problems/${encodeURIComponent(category)}/`, {
+            method: 'GET',
+        })
+        if (!resp.ok) {
+            const raw = await resp.text().catch(() => '')
+            return httpFailure(resp, raw)
+        }
+        return { ok: true, status: resp.status, data: await resp.json() }
     })
+    if (!rest.ok) return rest
 
-    if (!resp.ok) {
-        const raw = await resp.text().catch(() => '')
-        return res.status(502).json({ error: 'UPSTREAM_ERROR', status: resp.status, raw })
-    }
-
-    const raw = await resp.json()
-    const pairs = Array.isArray(raw?.stat_status_pairs) ? raw.stat_status_pairs : []
+    const pairs = Array.isArray(rest.data?.stat_status_pairs) ? rest.data.stat_status_pairs : []
 
     const difficultyMap = {
         1: 'Easy',
@@ -506,7 +802,10 @@ app.get('/api/problems', async (req, res) => {
         3: 'Hard',
     }
 
-    let items = pairs.map((p) => {
+    // stat_status_pairs carries no tags; the legacy tags endpoint maps each tag to question ids.
+    const tagsById = await fetchTagsByQuestionId(session)
+
+    const items = pairs.map((p) => {
         const stat = p.stat || {}
         const level = p.difficulty?.level
         const totalAcs = Number(stat.total_acs || 0)
@@ -523,100 +822,1575 @@ app.get('/api/problems', async (req, res) => {
             difficulty: difficultyMap[level] || 'Unknown',
             status: p.status || null,
             acRate,
+            tags: tagsById ? tagsById.get(Number(stat.question_id)) || [] : null,
         }
     })
 
-    if (q) {
-        items = items.filter((x) => {
-            const t = String(x.title || '').toLowerCase()
-            const s = String(x.titleSlug || '').toLowerCase()
-            return t.includes(q) || s.includes(q) || String(x.frontendId).includes(q)
-        })
+    return { ok: true, items }
+}
+
+// Legacy endpoint: every topic tag with its display names and the question ids it covers.
+async function fetchTopics(session) {
+    const resp = await tryUpstream(async () => {
+        const r = await leetcode.fetch(session, '/problems/api/tags/', { method: 'GET' })
+        if (!r.ok) return { ok: false, status: r.status }
+        return { ok: true, data: await r.json() }
+    })
+    return resp.ok && Array.isArray(resp.data?.topics) ? resp.data.topics : null
+}
+
+async function fetchTagsByQuestionId(session) {
+    const topics = await fetchTopics(session)
+    if (!topics) return null
+
+    const byId = new Map()
+    for (const topic of topics) {
+        if (!topic?.slug || !Array.isArray(topic.questions)) continue
+        for (const id of topic.questions) {
+            const key = Number(id)
+            if (!byId.has(key)) byId.set(key, [])
+            byId.get(key).push(topic.slug)
+        }
     }
+    return byId
+}
 
-    res.json({ items })
-})
+const DIFFICULTY_ORDER = { Easy: 1, Medium: 2, Hard: 3 }
 
-app.get('/api/problem/:slug', async (req, res) => {
-    const session = requireSession(req, res)
-    if (!session) return
+// .com reports `ac` / `notac`, .cn reports `AC` / `TRIED` / `NOT_STARTED`.
+function progressOf(status) {
+    const s = String(status || '').toLowerCase()
+    if (s === 'ac') return 'solved'
+    if (s === 'notac' || s === 'tried') return 'attempted'
+    return 'todo'
+}
 
-    const slug = String(req.params.slug || '').trim()
-    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+function splitList(value) {
+    return String(value || '')
+        .split(',')
+        .map((x) => x.trim())
+        .filter(Boolean)
+}
+
+function parseOptionalNumber(value) {
+    if (value == null || value === '') return null
+    const n = Number(value)
+    return Number.isFinite(n) ? n : null
+}
+
+/**
+ * Reads list filters from the query string:
+ *   q, difficulty=Easy,Medium, status=solved,attempted,todo, tags=array,hash-table (all must match),
+ *   excludePaid=1, acMin/acMax (percent), list=<study list id>, sort=id|acRate|difficulty, order=asc|desc,
+ *   skip, limit
+ */
+function parseProblemQuery(query) {
+    const sort = ['id', 'acRate', 'difficulty'].includes(String(query.sort)) ? String(query.sort) : 'id'
+    const skip = Math.max(0, Math.floor(Number(query.skip) || 0))
+    const limitRaw = Math.floor(Number(query.limit) || 0)
+    return {
+        q: String(query.q || '').trim().toLowerCase(),
+        difficulty: splitList(query.difficulty).map(normalizeDifficulty).filter((d) => d !== 'Unknown'),
+        status: splitList(query.status).filter((s) => s === 'solved' || s === 'attempted' || s === 'todo'),
+        tags: splitList(query.tags).map((t) => t.toLowerCase()),
+        excludePaid: query.excludePaid === '1' || query.excludePaid === 'true',
+        acMin: parseOptionalNumber(query.acMin),
+        acMax: parseOptionalNumber(query.acMax),
+        list: String(query.list || '').trim(),
+        sort,
+        order: String(query.order) === 'desc' ? 'desc' : 'asc',
+        skip,
+        limit: limitRaw > 0 ? Math.min(limitRaw, PROBLEM_PAGE_MAX) : PROBLEM_PAGE_DEFAULT,
+    }
+}
+
+function compareFrontendId(a, b) {
+    const na = Number(a.frontendId)
+    const nb = Number(b.frontendId)
+    if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb
+    if (Number.isFinite(na)) return -1
+    if (Number.isFinite(nb)) return 1
+    return String(a.frontendId).localeCompare(String(b.frontendId))
+}
+
+function queryProblems(items, opts) {
+    const { q, difficulty, status, tags, excludePaid, acMin, acMax, only, sort, order } = opts
+
+    const filtered = items.filter((x) => {
+        if (only && !only.has(x.titleSlug)) return false
+        if (q) {
+            const t = String(x.title || '').toLowerCase()
+            const zh = String(x.titleZh || '').toLowerCase()
+            const s = String(x.titleSlug || '').toLowerCase()
+            if (!(t.includes(q) || zh.includes(q) || s.includes(q) || String(x.frontendId).includes(q))) return false
+        }
+        if (difficulty.length && !difficulty.includes(x.difficulty)) return false
+        if (status.length && !status.includes(progressOf(x.status))) return false
+        if (excludePaid && x.paidOnly) return false
+        if (acMin != null && !(x.acRate != null && x.acRate >= acMin)) return false
+        if (acMax != null && !(x.acRate != null && x.acRate <= acMax)) return false
+        if (tags.length) {
+            const own = Array.isArray(x.tags) ? x.tags : []
+            if (!tags.every((t) => own.includes(t))) return false
+        }
+        return true
+    })
+
+    const dir = order === 'desc' ? -1 : 1
+    filtered.sort((a, b) => {
+        let diff = 0
+        if (sort === 'acRate') diff = (a.acRate ?? -1) - (b.acRate ?? -1)
+        else if (sort === 'difficulty') diff = (DIFFICULTY_ORDER[a.difficulty] || 4) - (DIFFICULTY_ORDER[b.difficulty] || 4)
+        return diff * dir || compareFrontendId(a, b) * (sort === 'id' ? dir : 1)
+    })
+
+    return filtered
+}
 
-    const resp = await lcQuestion(session, slug)
-    if (!resp.ok) {
-        return res.status(502).json({ error: 'UPSTREAM_ERROR', detail: resp })
+// similarQuestions is a JSON-encoded string upstream.
+function parseSimilarQuestions(raw) {
+    let list = raw
+    if (typeof raw === 'string') {
+        try {
+            list = JSON.parse(raw)
+        } catch {
+            list = null
+        }
     }
+    if (!Array.isArray(list)) return []
+    return list
+        .filter((x) => x?.titleSlug)
+        .map((x) => ({
+            title: String(x.title || x.titleSlug),
+            translated_title: x.translatedTitle || null,
+            title_slug: String(x.titleSlug),
+            difficulty: normalizeDifficulty(x.difficulty),
+            is_paid_only: Boolean(x.isPaidOnly),
+        }))
+}
+
+async function fetchQuestion(session, slug) {
+    // Both versions are always fetched; the client picks original, translation or side by side.
+    const resp = await tryUpstream(() => leetcode.question(withZh(session), slug))
+    if (!resp.ok) return resp
 
     const q = resp.data?.question
-    if (!q) return res.status(404).json({ error: 'NOT_FOUND' })
+    if (!q) return { ok: false, status: 404, error: 'NOT_FOUND' }
+
+    q.similar_questions = parseSimilarQuestions(q.similar_questions)
+    q.hints = Array.isArray(q.hints) ? q.hints.filter((h) => typeof h === 'string' && h.trim()) : []
+
+    // translation_source: `upstream` (same site), `cn_fallback` (borrowed from leetcode.cn) or null.
+    q.translation_source = q.translated_title || q.translated_content ? 'upstream' : null
 
     // If logged in on leetcode.com but Chinese translation is missing, try leetcode.cn (public) as a fallback.
-    const missingZh = !q.translated_title && !q.translated_content
     const isCom = String(session.domain || '').toLowerCase().endsWith('leetcode.com')
-    if (isCom && missingZh) {
-        const cnSession = {
-            domain: 'leetcode.cn',
-            acceptLanguage: 'zh-CN,zh;q=0.9,en;q=0.8',
-        }
-        const cn = await lcQuestion(cnSession, slug)
+    if (isCom && !q.translation_source) {
+        const cnSession = withZh({ domain: 'leetcode.cn' })
+        const cn = await tryUpstream(() => leetcode.question(cnSession, slug))
         const cnQ = cn.ok ? cn.data?.question : null
-        if (cnQ) {
-            q.translated_title = cnQ.translated_title || cnQ.title || q.translated_title
-            q.translated_content = cnQ.translated_content || cnQ.content || q.translated_content
+        if (cnQ?.translated_title || cnQ?.translated_content) {
+            q.translated_title = cnQ.translated_title || null
+            q.translated_content = cnQ.translated_content || null
+            q.translation_source = 'cn_fallback'
         }
     }
 
-    res.json({ question: q })
-})
+    return { ok: true, question: q }
+}
 
-app.post('/api/submit', async (req, res) => {
-    const session = requireSession(req, res)
-    if (!session) return
+// Catalog entries carry the user's solved status, so they are cached per account and go stale quickly.
+function problemListCacheKey(session, { category, zh }) {
+    return `problems:${session.domain}:${session.user?.name || ''}:${category}:${zh ? 'zh' : 'en'}`
+}
 
-    const titleSlug = String(req.body?.slug || '').trim()
-    const lang = String(req.body?.lang || '').trim()
-    const typedCode = String(req.body?.code || '')
-    let questionId = req.body?.questionId
-    if (questionId != null) questionId = String(questionId)
+// v3: entries now carry hints, similar questions and metaData (for the local judge).
+function questionCacheKey(session, slug) {
+    return `problem:${session.domain}:v3:${slug}`
+}
 
-    if (!titleSlug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
-    if (!lang) return res.status(400).json({ error: 'LANG_REQUIRED' })
-    if (!typedCode) return res.status(400).json({ error: 'CODE_REQUIRED' })
+function tagMetaCacheKey(session) {
+    return `tags:${session.domain}`
+}
 
-    if (!questionId) {
-        const q = await lcQuestion(session, titleSlug)
-        if (!q.ok) return res.status(502).json({ error: 'UPSTREAM_ERROR', detail: q })
-        questionId = q.data?.question?.id
-        if (!questionId) return res.status(502).json({ error: 'UPSTREAM_ERROR', message: 'Missing questionId' })
-    }
+async function getProblemList(session, { category, zh, refresh }) {
+    const key = problemListCacheKey(session, { category, zh })
+    const cached = await cache.get(key)
+    if (cached?.fresh && !refresh) return { ok: true, items: cached.value, cachedAt: cached.storedAt, stale: false }
 
-    const submit = await lcSubmit(session, { titleSlug, questionId, lang, typedCode })
-    if (!submit.ok) {
-        return res.status(502).json({ error: 'UPSTREAM_ERROR', detail: submit })
+    const fresh = await fetchProblemList(session, { category, zh })
+    if (fresh.ok) {
+        await cache.set(key, fresh.items, PROBLEM_LIST_TTL)
+        return { ok: true, items: fresh.items, cachedAt: null, stale: false }
     }
 
-    res.json({ submissionId: submit.submissionId })
-})
+    if (cached) return { ok: true, items: cached.value, cachedAt: cached.storedAt, stale: true }
+    return fresh
+}
 
-app.get('/api/submission/:id/check', async (req, res) => {
-    const session = requireSession(req, res)
-    if (!session) return
+async function getQuestion(session, slug, { refresh } = {}) {
+    const key = questionCacheKey(session, slug)
+    const cached = await cache.get(key)
+    if (cached?.fresh && !refresh) return { ok: true, question: cached.value, cachedAt: cached.storedAt, stale: false }
 
-    const id = Number(req.params.id)
-    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'INVALID_SUBMISSION_ID' })
+    const fresh = await fetchQuestion(session, slug)
+    if (fresh.ok) {
+        await cache.set(key, fresh.question, QUESTION_TTL)
+        return { ok: true, question: fresh.question, cachedAt: null, stale: false }
+    }
+
+    if (cached && fresh.status !== 404) {
+        return { ok: true, question: cached.value, cachedAt: cached.storedAt, stale: true }
+    }
+    return fresh
+}
+
+/**
+ * Folds the other linked accounts' progress into a catalog, matched by slug: a problem accepted on any site
+ * becomes `ac`, one only tried elsewhere `notac`. Items gain `solvedOn` (sites with an AC). Sites whose
+ * catalog cannot be loaded are skipped; with a single account or `mergeProgress` off the list is unchanged.
+ */
+async function withMergedStatus(session, list, { zh, refresh }) {
+    const others = otherAccounts(session)
+    if (!list.ok || !others.length || !(await getPrefs(session)).mergeProgress) return list
+
+    const catalogs = await Promise.all(
+        others.map(async (account) => {
+            const other = await getProblemList(account, { category: 'all', zh, refresh })
+            if (!other.ok) return null
+            return { domain: account.domain, bySlug: new Map(other.items.map((x) => [x.titleSlug, x.status])) }
+        })
+    )
+    const loaded = catalogs.filter(Boolean)
+    if (!loaded.length) return list
+
+    const items = list.items.map((item) => {
+        const solvedOn = progressOf(item.status) === 'solved' ? [session.domain] : []
+        let status = item.status
+        for (const { domain, bySlug } of loaded) {
+            const progress = progressOf(bySlug.get(item.titleSlug))
+            if (progress === 'solved') solvedOn.push(domain)
+            else if (progress === 'attempted' && progressOf(status) === 'todo') status = 'notac'
+        }
+        return { ...item, status: solvedOn.length ? 'ac' : status, solvedOn }
+    })
+    return { ...list, items }
+}
+
+app.get('/api/problems', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const opts = parseProblemQuery(req.query)
+    const category = normalizeCategory(req.query.category)
+    const lang = String(req.query.lang || '').trim().toLowerCase()
+    const refresh = req.query.refresh === '1'
+    const zh = wantsZh(lang)
+
+    if (opts.list) {
+        const studyList = await studyLists.get(ownerOf(session), opts.list)
+        if (!studyList) return res.status(404).json({ error: 'NOT_FOUND' })
+        opts.only = new Set(studyList.slugs)
+    }
+
+    const own = await getProblemList(session, { category, zh, refresh })
+    const list = await withMergedStatus(session, own, { zh, refresh })
+    if (!list.ok) {
+        return sendUpstreamError(res, list)
+    }
+
+    const matched = queryProblems(list.items, opts)
+    res.json({
+        items: matched.slice(opts.skip, opts.skip + opts.limit),
+        total: matched.length,
+        skip: opts.skip,
+        limit: opts.limit,
+        stale: list.stale,
+        cachedAt: list.cachedAt,
+    })
+})
+
+// Display names per tag slug. The catalog only carries slugs, so names come from the tags endpoint.
+async function getTagMeta(session) {
+    const key = tagMetaCacheKey(session)
+    const cached = await cache.get(key)
+    if (cached?.fresh) return cached.value
+
+    const topics = await fetchTopics(session)
+    if (topics) {
+        const meta = {}
+        for (const topic of topics) {
+            if (!topic?.slug) continue
+            meta[topic.slug] = {
+                name: String(topic.name || topic.slug),
+                nameZh: topic.translatedName || topic.translated_name || null,
+            }
+        }
+        await cache.set(key, meta, QUESTION_TTL)
+        return meta
+    }
+    return cached?.value || {}
+}
+
+function humanizeSlug(slug) {
+    return slug.replace(/-/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase())
+}
+
+/** Counts problems (and solved problems) per tag over the cached catalog, most common first. */
+function summarizeTags(items, meta) {
+    const bySlug = new Map()
+    for (const item of items) {
+        if (!Array.isArray(item.tags)) continue
+        const solved = progressOf(item.status) === 'solved'
+        for (const slug of item.tags) {
+            let tag = bySlug.get(slug)
+            if (!tag) {
+                tag = {
+                    slug,
+                    name: meta[slug]?.name || humanizeSlug(slug),
+                    nameZh: meta[slug]?.nameZh || null,
+                    count: 0,
+                    solved: 0,
+                }
+                bySlug.set(slug, tag)
+            }
+            tag.count++
+            if (solved) tag.solved++
+        }
+    }
+    return [...bySlug.values()].sort((a, b) => b.count - a.count || a.slug.localeCompare(b.slug))
+}
+
+// The whole catalog in the titles the account reads, for summaries over every problem.
+// `merged` folds in the other linked accounts' progress (see withMergedStatus).
+async function getFullCatalog(session, { refresh, merged } = {}) {
+    const zh = (await getPrefs(session)).statementLang !== 'en'
+    const list = await getProblemList(session, { category: 'all', zh, refresh })
+    return merged ? withMergedStatus(session, list, { zh, refresh }) : list
+}
+
+async function getTagSummary(session, { refresh } = {}) {
+    const list = await getFullCatalog(session, { refresh, merged: true })
+    if (!list.ok) return list
+    return { ok: true, list, tags: summarizeTags(list.items, await getTagMeta(session)) }
+}
+
+app.get('/api/tags', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const summary = await getTagSummary(session, { refresh: req.query.refresh === '1' })
+    if (!summary.ok) return sendUpstreamError(res, summary)
+
+    res.json({ tags: summary.tags, stale: summary.list.stale, cachedAt: summary.list.cachedAt })
+})
+
+/** One tag plus its problems; accepts the same filters and paging as `/api/problems`. */
+app.get('/api/tags/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim().toLowerCase()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    const summary = await getTagSummary(session)
+    if (!summary.ok) return sendUpstreamError(res, summary)
+
+    const tag = summary.tags.find((x) => x.slug === slug)
+    if (!tag) return res.status(404).json({ error: 'NOT_FOUND' })
+
+    const opts = parseProblemQuery(req.query)
+    if (!opts.tags.includes(slug)) opts.tags.push(slug)
+    const matched = queryProblems(summary.list.items, opts)
+    res.json({
+        tag,
+        items: matched.slice(opts.skip, opts.skip + opts.limit),
+        total: matched.length,
+        skip: opts.skip,
+        limit: opts.limit,
+        stale: summary.list.stale,
+        cachedAt: summary.list.cachedAt,
+    })
+})
+
+app.get('/api/problem/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    const resp = await getQuestion(session, slug, { refresh: req.query.refresh === '1' })
+    if (!resp.ok) return sendUpstreamError(res, resp)
+
+    res.json({ question: resp.question, stale: resp.stale, cachedAt: resp.cachedAt })
+})
+
+/**
+ * Manual invalidation. Body: `{ slug }` drops one statement, `{ scope: 'problems' }` the catalog,
+ * and an empty body everything cached for the current domain.
+ */
+app.post('/api/cache/refresh', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.body?.slug || '').trim()
+    const scope = String(req.body?.scope || '').trim()
+
+    let removed = 0
+    if (slug) {
+        await cache.delete(questionCacheKey(session, slug))
+        removed = 1
+    } else if (scope === 'problems') {
+        removed = await cache.deletePrefix(`problems:${session.domain}:`)
+    } else {
+        removed += await cache.deletePrefix(`problems:${session.domain}:`)
+        removed += await cache.deletePrefix(`problem:${session.domain}:`)
+        removed += await cache.deletePrefix(tagMetaCacheKey(session))
+    }
+
+    res.json({ ok: true, removed })
+})
+
+// Background jobs belong to the LeetCode account that started them; other sessions neither see nor stop them.
+function jobKey(session) {
+    const owner = ownerOf(session)
+    return `${owner.domain}\n${owner.user}`
+}
+
+/**
+ * Background job that warms the statement cache for the whole catalog, one request at a time.
+ * `domain\nuser` (see jobKey) -> { running, total, done, failed, startedAt, finishedAt }
+ */
+const prefetchJobs = new Map()
+
+async function runPrefetch(session, job, slugs) {
+    for (const slug of slugs) {
+        if (job.cancelled) break
+        const cached = await cache.get(questionCacheKey(session, slug))
+        if (!cached?.fresh) {
+            const resp = await getQuestion(session, slug, { refresh: true })
+            if (!resp.ok || resp.stale) job.failed++
+            // Be gentle with upstream; this job can issue thousands of requests.
+            await new Promise((resolve) => setTimeout(resolve, PREFETCH_DELAY))
+        }
+        job.done++
+    }
+    job.running = false
+    job.finishedAt = Date.now()
+}
+
+function publicJob(job) {
+    if (!job) return { running: false, total: 0, done: 0, failed: 0 }
+    const { cancelled: _cancelled, ...rest } = job
+    return rest
+}
+
+app.get('/api/cache/prefetch', (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+    res.json({ job: publicJob(prefetchJobs.get(jobKey(session))) })
+})
+
+app.post('/api/cache/prefetch', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const existing = prefetchJobs.get(jobKey(session))
+    if (existing?.running) return res.json({ job: publicJob(existing) })
+
+    const category = normalizeCategory(req.body?.category)
+    const { statementLang } = await getPrefs(session)
+    const list = await getProblemList(session, { category, zh: statementLang !== 'en', refresh: false })
+    if (!list.ok) {
+        return sendUpstreamError(res, list)
+    }
+
+    const slugs = list.items.filter((x) => x.titleSlug && !x.paidOnly).map((x) => x.titleSlug)
+    const job = { running: true, total: slugs.length, done: 0, failed: 0, startedAt: Date.now(), finishedAt: null, cancelled: false }
+    prefetchJobs.set(jobKey(session), job)
+    // Snapshot the session so logging out mid-job doesn't change credentials under it.
+    runPrefetch({ ...session }, job, slugs).catch(() => {
+        job.running = false
+        job.finishedAt = Date.now()
+    })
+
+    res.json({ job: publicJob(job) })
+})
+
+app.delete('/api/cache/prefetch', (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+    const job = prefetchJobs.get(jobKey(session))
+    if (job) job.cancelled = true
+    res.json({ job: publicJob(job) })
+})
+
+/**
+ * Background job that writes the account's accepted solutions to a local folder (see solutionExport.mjs).
+ * `domain\nuser` (see jobKey) -> { running, dir, total, done, failed, written, unchanged, errors, startedAt, finishedAt }
+ */
+const exportJobs = new Map()
+
+async function runExport(session, job, slugs) {
+    const lc = {
+        listSubmissions: (titleSlug, { offset, lastKey }) =>
+            tryUpstream(() => leetcode.submissionList(session, { titleSlug, offset, limit: 20, lastKey })),
+        submissionDetail: (id) => tryUpstream(() => leetcode.submissionDetail(session, id)),
+        async question(slug) {
+            const resp = await getQuestion(session, slug)
+            if (!resp.ok) return resp
+            return { ok: true, question: { ...resp.question, difficulty: normalizeDifficulty(resp.question.difficulty) } }
+        },
+    }
+    const owner = ownerOf(session)
+    const { statementLang } = await getPrefs(session)
+    await exportSolutions({ dir: job.dir, slugs, lc, domain: owner.domain, user: owner.user, statementLang, job })
+}
+
+app.get('/api/export', (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+    res.json({ job: publicJob(exportJobs.get(jobKey(session))) })
+})
+
+/**
+ * Starts an export of every solved problem, or of `slugs`, into `dir` (defaults to EXPORT_DIR; must lie under
+ * one of EXPORT_ROOTS and be empty or a previous export).
+ */
+app.post('/api/export', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const key = jobKey(session)
+    const existing = exportJobs.get(key)
+    if (existing?.running) return res.json({ job: publicJob(existing) })
+
+    const dir = resolveExportDir(String(req.body?.dir || '').trim(), { base: EXPORT_DIR, roots: EXPORT_ROOTS })
+    if (!dir) return res.status(403).json({ error: 'EXPORT_DIR_FORBIDDEN' })
+    try {
+        await assertExportDir(dir)
+    } catch (e) {
+        if (!(e instanceof ExportDirError)) throw e
+        return res.status(e.status).json({ error: e.code, message: e.message })
+    }
+
+    let slugs
+    if (Array.isArray(req.body?.slugs) && req.body.slugs.length) {
+        slugs = [...new Set(req.body.slugs.map((s) => String(s || '').trim()).filter(Boolean))]
+    } else {
+        const list = await getFullCatalog(session)
+        if (!list.ok) return sendUpstreamError(res, list)
+        slugs = list.items.filter((x) => x.titleSlug && progressOf(x.status) === 'solved').map((x) => x.titleSlug)
+    }
+
+    const job = {
+        running: true,
+        dir,
+        total: slugs.length,
+        done: 0,
+        failed: 0,
+        written: 0,
+        unchanged: 0,
+        errors: [],
+        startedAt: Date.now(),
+        finishedAt: null,
+        cancelled: false,
+    }
+    exportJobs.set(key, job)
+    runExport({ ...session }, job, slugs)
+        .catch((e) => {
+            // eslint-disable-next-line no-console
+            console.error('[export]', e)
+            job.errors.push({ slug: null, error: e.code || 'EXPORT_FAILED' })
+        })
+        .finally(() => {
+            job.running = false
+            job.finishedAt = Date.now()
+        })
+
+    res.json({ job: publicJob(job) })
+})
+
+app.delete('/api/export', (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+    const job = exportJobs.get(jobKey(session))
+    if (job) job.cancelled = true
+    res.json({ job: publicJob(job) })
+})
+
+// Local data (drafts, lists, schedules) is partitioned per LeetCode account.
+function ownerOf(session) {
+    return { domain: session.domain || 'leetcode.com', user: session.user?.name || '' }
+}
+
+const DEFAULT_PREFS = {
+    locale: null,
+    statementLang: 'zh',
+    editorFontSize: 14,
+    editorTheme: 'vs-dark',
+    editorTabSize: 4,
+    editorWordWrap: false,
+    editorVim: false,
+    // null: TypeScript, then JavaScript, then Python3, then the first language LeetCode lists.
+    defaultLang: null,
+    // With accounts on both sites, a problem accepted on either counts as solved.
+    mergeProgress: true,
+}
+// Allowed values per key, or a predicate for open-ended ones.
+const PREF_VALUES = {
+    locale: ['zh', 'en'],
+    // `both` shows original and translation side by side.
+    statementLang: ['en', 'zh', 'both'],
+    editorFontSize: [10, 11, 12, 13, 14, 15, 16, 18, 20, 22, 24],
+    editorTheme: ['vs-dark', 'vs', 'hc-black'],
+    editorTabSize: [2, 4, 8],
+    editorWordWrap: [true, false],
+    editorVim: [true, false],
+    defaultLang: (value) => value === null || (typeof value === 'string' && /^[a-z0-9]{1,32}$/.test(value)),
+    mergeProgress: [true, false],
+}
+
+function isValidPref(key, value) {
+    const rule = PREF_VALUES[key]
+    return typeof rule === 'function' ? rule(value) : rule.includes(value)
+}
+
+async function getPrefs(session) {
+    const stored = (await prefsStore.get(ownerOf(session))) || {}
+    const out = { ...DEFAULT_PREFS }
+    for (const key of Object.keys(PREF_VALUES)) {
+        if (stored[key] !== undefined && isValidPref(key, stored[key])) out[key] = stored[key]
+    }
+    return out
+}
+
+async function fetchDaily(session) {
+    const cn = isCnDomain(session.domain)
+    const resp = await tryUpstream(() => leetcode.graphql(session, cn ? QUERY_DAILY_CN : QUERY_DAILY_COM, {}))
+    if (!resp.ok) return resp
+
+    // .cn returns a list with today's record first.
+    const raw = cn ? resp.data?.todayRecord : resp.data?.activeDailyCodingChallengeQuestion
+    const record = Array.isArray(raw) ? raw[0] : raw
+    const q = record?.question
+    if (!q?.title_slug) return { ok: false, status: 404, error: 'NOT_FOUND' }
+
+    const acRate = q.ac_rate == null ? null : Number(q.ac_rate)
+    return {
+        ok: true,
+        daily: {
+            date: record.date ?? null,
+            frontendId: String(q.frontend_id ?? ''),
+            title: q.title ?? '',
+            titleZh: q.translated_title ?? null,
+            titleSlug: q.title_slug,
+            difficulty: normalizeDifficulty(q.difficulty),
+            paidOnly: Boolean(q.paid_only),
+            // .cn reports a ratio, .com a percentage.
+            acRate: acRate == null || !Number.isFinite(acRate) ? null : acRate <= 1 ? acRate * 100 : acRate,
+            status: q.status || null,
+        },
+    }
+}
+
+/** Today's daily challenge; `status` reflects the signed-in user's progress on it. */
+app.get('/api/daily', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const key = `daily:${session.domain}:${session.user?.name || ''}`
+    const cached = await cache.get(key)
+    if (cached?.fresh && req.query.refresh !== '1') {
+        return res.json({ daily: cached.value, stale: false, cachedAt: cached.storedAt })
+    }
+
+    const fresh = await fetchDaily(session)
+    if (fresh.ok) {
+        await cache.set(key, fresh.daily, DAILY_TTL)
+        return res.json({ daily: fresh.daily, stale: false, cachedAt: null })
+    }
+    if (cached && isTransientFailure(fresh)) {
+        return res.json({ daily: cached.value, stale: true, cachedAt: cached.storedAt })
+    }
+    return sendUpstreamError(res, fresh)
+})
+
+// Contest problems come from the legacy REST endpoint, which both sites still serve.
+async function fetchContestInfo(session, slug) {
+    const resp = await tryUpstream(async () => {
+        const r = await leetcode.fetch(session, `/contest/api/info/${encodeURIComponent(slug)}/`, { method: 'GET' })
+        if (!r.ok) {
+            const raw = await r.text().catch(() => '')
+            return httpFailure(r, raw)
+        }
+        return { ok: true, status: r.status, data: await r.json() }
+    })
+    if (!resp.ok) return resp
+
+    const contest = resp.data?.contest
+    const questions = Array.isArray(resp.data?.questions) ? resp.data.questions : []
+    if (!contest || !questions.length) return { ok: false, status: 404, error: 'NOT_FOUND' }
+
+    const cn = isCnDomain(session.domain)
+    return {
+        ok: true,
+        contest: {
+            slug,
+            title: contest.title || slug,
+            startTime: Number(contest.start_time) || null,
+            duration: Number(contest.duration) || null,
+            problems: questions.map((q) => ({
+                slug: q.title_slug,
+                // .cn puts the translated title in `title` and the original in `english_title`.
+                title: (cn && q.english_title) || q.title || q.title_slug,
+                titleZh: cn && q.english_title ? q.title : null,
+                credit: Number(q.credit) || 0,
+            })),
+        },
+    }
+}
+
+// Finished contests never change, so their problem sets are cached like statements.
+async function getContestInfo(session, slug) {
+    const key = `contest:${session.domain}:${slug}`
+    const cached = await cache.get(key)
+    if (cached?.fresh) return { ok: true, contest: cached.value }
+
+    const fresh = await fetchContestInfo(session, slug)
+    if (fresh.ok) {
+        await cache.set(key, fresh.contest, QUESTION_TTL)
+        return fresh
+    }
+    if (cached && fresh.status !== 404) return { ok: true, contest: cached.value }
+    return fresh
+}
+
+async function fetchPastContests(session, { page, limit }) {
+    const cn = isCnDomain(session.domain)
+    const resp = await tryUpstream(() =>
+        cn
+            ? leetcode.graphql(session, QUERY_PAST_CONTESTS_CN, { pageNum: page, pageSize: limit })
+            : leetcode.graphql(session, QUERY_PAST_CONTESTS_COM, { pageNo: page, numPerPage: limit })
+    )
+    if (!resp.ok) return resp
+
+    const list = cn ? resp.data?.contestHistory : resp.data?.pastContests
+    const rows = (cn ? list?.contests : list?.data) || []
+    return {
+        ok: true,
+        total: Number(list?.total) || rows.length,
+        contests: rows
+            .filter((c) => c?.title_slug)
+            .map((c) => ({
+                slug: c.title_slug,
+                title: c.title || c.title_slug,
+                startTime: Number(c.start_time) || null,
+                duration: Number(c.duration) || null,
+            })),
+    }
+}
+
+/** Past contests, newest first, each with its problems. `page` starts at 1. */
+app.get('/api/contests', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const page = Math.max(1, Math.floor(Number(req.query.page) || 1))
+    const limitRaw = Math.floor(Number(req.query.limit) || 0)
+    const limit = limitRaw > 0 ? Math.min(limitRaw, CONTEST_PAGE_MAX) : CONTEST_PAGE_DEFAULT
+
+    const list = await fetchPastContests(session, { page, limit })
+    if (!list.ok) return sendUpstreamError(res, list)
+
+    const contests = await Promise.all(
+        list.contests.map(async (c) => {
+            const info = await getContestInfo(session, c.slug)
+            return { ...c, problems: info.ok ? info.contest.problems : null }
+        })
+    )
+    res.json({ contests, total: list.total, page, limit })
+})
+
+app.get('/api/contests/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const info = await getContestInfo(session, String(req.params.slug || '').trim())
+    if (!info.ok) return sendUpstreamError(res, info)
+    res.json({ contest: info.contest })
+})
+
+app.get('/api/virtual', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    res.json({ contests: await virtualContests.list(ownerOf(session)) })
+})
+
+/** Starts a virtual run of a past contest. Body: `{ slug }`. Only one run can be active at a time. */
+app.post('/api/virtual', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.body?.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    const info = await getContestInfo(session, slug)
+    if (!info.ok) return sendUpstreamError(res, info)
+
+    const { contest } = info
+    const result = await virtualContests.start(ownerOf(session), {
+        slug,
+        title: contest.title,
+        // Weekly and biweekly contests last 90 minutes.
+        duration: (contest.duration || 90 * 60) * 1000,
+        problems: contest.problems,
+    })
+    if (!result.ok) return res.status(409).json({ error: result.error, contest: result.contest })
+    res.json({ contest: result.contest })
+})
+
+app.post('/api/virtual/:id/finish', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const contest = await virtualContests.finish(ownerOf(session), String(req.params.id))
+    if (!contest) return res.status(404).json({ error: 'NOT_FOUND' })
+    res.json({ contest })
+})
+
+app.delete('/api/virtual/:id', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const removed = await virtualContests.remove(ownerOf(session), String(req.params.id))
+    if (!removed) return res.status(404).json({ error: 'NOT_FOUND' })
+    res.json({ ok: true })
+})
+
+function submissionWatchKey(owner, id) {
+    return `${owner.domain}:${owner.user}:${id}`
+}
+
+/**
+ * Follows a submission on the server until it is judged, so its verdict is acted on even if the tab
+ * is closed: counted towards a virtual contest and, when accepted, enrolled in the review queue.
+ */
+// `account` is the linked site the submission went to; the verdict is recorded for the active one.
+function trackVerdict(session, submissionId, titleSlug, { virtualId, account = session } = {}) {
+    const owner = ownerOf(session)
+    let unsubscribe = null
+    let settled = false
+    unsubscribe = submissionWatcher.subscribe(
+        submissionWatchKey(ownerOf(account), submissionId),
+        () => leetcode.submissionCheck(account, submissionId, { titleSlug }),
+        (event, payload) => {
+            if (event === 'state' || settled) return
+            settled = true
+            const tasks = []
+            if (event === 'done') {
+                const code = Number(payload?.status_code)
+                const statusCode = Number.isFinite(code) ? code : null
+                if (virtualId) {
+                    tasks.push(
+                        virtualContests.recordVerdict(owner, virtualId, submissionId, {
+                            statusCode,
+                            status: payload?.status_msg ?? STATUS_MESSAGES[code] ?? null,
+                        })
+                    )
+                }
+                if (statusCode === 10) tasks.push(reviews.enrol(owner, titleSlug))
+            } else if (virtualId) {
+                // `error` or `timeout`: the verdict is lost, but the attempt must not stay pending forever.
+                tasks.push(
+                    virtualContests.recordVerdict(owner, virtualId, submissionId, {
+                        statusCode: null,
+                        status: payload?.error ?? null,
+                        unknown: true,
+                    })
+                )
+            }
+            Promise.all(tasks).catch((e) => {
+                // eslint-disable-next-line no-console
+                console.warn('[lc-proxy] verdict tracking', e)
+            })
+            // The watcher may call back synchronously, before `subscribe` has returned.
+            queueMicrotask(() => unsubscribe?.())
+        }
+    )
+}
+
+app.get('/api/prefs', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+    res.json({ prefs: await getPrefs(session) })
+})
+
+app.put('/api/prefs', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const patch = {}
+    for (const [key, value] of Object.entries(req.body || {})) {
+        if (!PREF_VALUES[key]) continue
+        if (!isValidPref(key, value)) return res.status(400).json({ error: 'INVALID_PREF', key })
+        patch[key] = value
+    }
+
+    await prefsStore.update(ownerOf(session), (current) => ({ ...current, ...patch }))
+    res.json({ prefs: await getPrefs(session) })
+})
+
+/** Solved/attempted counts of a list against the catalog statuses; slugs missing from the catalog count as todo. */
+function listProgress(slugs, bySlug) {
+    let solved = 0
+    let attempted = 0
+    for (const slug of slugs) {
+        const progress = progressOf(bySlug.get(slug)?.status)
+        if (progress === 'solved') solved++
+        else if (progress === 'attempted') attempted++
+    }
+    return { total: slugs.length, solved, attempted }
+}
+
+// Progress is left out (null) when the catalog cannot be loaded at all.
+async function withListProgress(session, lists) {
+    const catalog = await getFullCatalog(session, { merged: true })
+    const bySlug = catalog.ok ? new Map(catalog.items.map((x) => [x.titleSlug, x])) : null
+    return lists.map((l) => ({ ...l, progress: bySlug ? listProgress(l.slugs, bySlug) : null }))
+}
+
+function sendListError(res, e) {
+    if (!(e instanceof StudyListError)) throw e
+    res.status(e.status).json({ error: e.code })
+}
+
+app.get('/api/lists', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    res.json({ lists: await withListProgress(session, await studyLists.list(ownerOf(session))) })
+})
+
+/** Body: `{ name, description?, slugs? }`. */
+app.post('/api/lists', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    try {
+        const list = await studyLists.create(ownerOf(session), {
+            name: req.body?.name,
+            description: req.body?.description,
+            slugs: req.body?.slugs,
+        })
+        const [withProgress] = await withListProgress(session, [list])
+        res.json({ list: withProgress })
+    } catch (e) {
+        sendListError(res, e)
+    }
+})
+
+/** Shareable JSON of the lists in `?ids=a,b` (every list when omitted). */
+app.get('/api/lists/export', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    res.json(await studyLists.exportLists(ownerOf(session), splitList(req.query.ids)))
+})
+
+/** Body: an export document. Lists are added as new lists; exported favorites merge into favorites. */
+app.post('/api/lists/import', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    try {
+        const lists = await studyLists.importLists(ownerOf(session), req.body)
+        res.json({ lists: await withListProgress(session, lists) })
+    } catch (e) {
+        sendListError(res, e)
+    }
+})
+
+app.get('/api/lists/:id', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const list = await studyLists.get(ownerOf(session), String(req.params.id))
+    if (!list) return res.status(404).json({ error: 'NOT_FOUND' })
+    const [withProgress] = await withListProgress(session, [list])
+    res.json({ list: withProgress })
+})
+
+/** Body: any of `{ name, description, slugs }`; `slugs` replaces the whole list (for reordering). */
+app.put('/api/lists/:id', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const patch = {}
+    for (const key of ['name', 'description', 'slugs']) {
+        if (req.body?.[key] !== undefined) patch[key] = req.body[key]
+    }
+
+    try {
+        const list = await studyLists.update(ownerOf(session), String(req.params.id), patch)
+        const [withProgress] = await withListProgress(session, [list])
+        res.json({ list: withProgress })
+    } catch (e) {
+        sendListError(res, e)
+    }
+})
+
+app.delete('/api/lists/:id', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    try {
+        await studyLists.remove(ownerOf(session), String(req.params.id))
+        res.json({ ok: true })
+    } catch (e) {
+        sendListError(res, e)
+    }
+})
+
+// Adding is idempotent, so the star toggle and "add to list" can simply PUT.
+app.put('/api/lists/:id/items/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    try {
+        const list = await studyLists.addItem(ownerOf(session), String(req.params.id), req.params.slug)
+        const [withProgress] = await withListProgress(session, [list])
+        res.json({ list: withProgress })
+    } catch (e) {
+        sendListError(res, e)
+    }
+})
+
+app.delete('/api/lists/:id/items/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    try {
+        const list = await studyLists.removeItem(ownerOf(session), String(req.params.id), req.params.slug)
+        const [withProgress] = await withListProgress(session, [list])
+        res.json({ list: withProgress })
+    } catch (e) {
+        sendListError(res, e)
+    }
+})
+
+app.get('/api/notes/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    const doc = await notesStore.get(ownerOf(session))
+    res.json({ note: doc?.notes?.[slug] || null })
+})
+
+/** Body: `{ text }` (markdown). An empty text deletes the note. */
+app.put('/api/notes/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    const text = req.body?.text
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+    if (typeof text !== 'string') return res.status(400).json({ error: 'TEXT_REQUIRED' })
+    if (text.length > NOTE_MAX_LENGTH) return res.status(400).json({ error: 'NOTE_TOO_LONG' })
+
+    const note = text.trim() ? { text, updatedAt: Date.now() } : null
+    await notesStore.update(ownerOf(session), (doc) => {
+        const notes = { ...doc?.notes }
+        if (note) notes[slug] = note
+        else delete notes[slug]
+        return { ...doc, notes }
+    })
+    res.json({ note })
+})
+
+app.get('/api/templates', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const doc = await templatesStore.get(ownerOf(session))
+    res.json({ templates: doc?.templates || {} })
+})
+
+/** Body: `{ text }`. An empty text deletes the template, so new buffers start from the plain official snippet. */
+app.put('/api/templates/:lang', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const lang = String(req.params.lang || '').trim()
+    const text = req.body?.text
+    if (!lang) return res.status(400).json({ error: 'LANG_REQUIRED' })
+    if (typeof text !== 'string') return res.status(400).json({ error: 'TEXT_REQUIRED' })
+    if (text.length > TEMPLATE_MAX_LENGTH) return res.status(400).json({ error: 'TEMPLATE_TOO_LONG' })
+
+    const template = text.trim() ? { text, updatedAt: Date.now() } : null
+    await templatesStore.update(ownerOf(session), (doc) => {
+        const templates = { ...doc?.templates }
+        if (template) templates[lang] = template
+        else delete templates[lang]
+        return { ...doc, templates }
+    })
+    res.json({ template })
+})
+
+// Joins schedules with catalog titles and difficulty; problems missing from the catalog keep just their slug.
+async function withProblemInfo(session, items) {
+    const catalog = await getFullCatalog(session)
+    const bySlug = catalog.ok ? new Map(catalog.items.map((x) => [x.titleSlug, x])) : new Map()
+    return items.map((item) => {
+        const p = bySlug.get(item.slug)
+        return {
+            ...item,
+            frontendId: p?.frontendId ?? null,
+            title: p?.title ?? null,
+            titleZh: p?.titleZh ?? null,
+            difficulty: p?.difficulty ?? null,
+        }
+    })
+}
+
+app.get('/api/review', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    res.json({ items: await withProblemInfo(session, await reviews.list(ownerOf(session))) })
+})
+
+/**
+ * Problems due for review by `?before=<epoch ms>` (default: now); clients pass the end of their
+ * local day. Also reports how many more are scheduled later.
+ */
+app.get('/api/review/due', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const before = parseOptionalNumber(req.query.before) ?? Date.now()
+    const all = await reviews.list(ownerOf(session))
+    const due = all.filter((item) => item.due <= before)
+    res.json({
+        items: await withProblemInfo(session, due),
+        upcoming: all.length - due.length,
+        nextDue: all.find((item) => item.due > before)?.due ?? null,
+    })
+})
+
+/** Enrols a problem by hand, e.g. one solved before the queue existed. */
+app.post('/api/review/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    res.json({ item: await reviews.enrol(ownerOf(session), slug) })
+})
+
+/** Clears the problem's drafts (kept on their timelines) so the review starts from the blank template. */
+app.post('/api/review/:slug/start', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    const owner = ownerOf(session)
+    if (!(await reviews.get(owner, slug))) return res.status(404).json({ error: 'NOT_FOUND' })
+
+    const { langs } = await drafts.list(owner, slug)
+    for (const [lang, entry] of Object.entries(langs)) {
+        if (entry.hasCode) await drafts.reset(owner, slug, lang, { reason: 'review' })
+    }
+    res.json({ ok: true })
+})
+
+/** Body: `{ rating: again|hard|good|easy }` or `{ quality: 0-5 }`; schedules the next review. */
+app.post('/api/review/:slug/rate', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    const quality = RECALL_QUALITY[req.body?.rating] ?? parseOptionalNumber(req.body?.quality)
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+    if (quality == null || quality < 0 || quality > 5) return res.status(400).json({ error: 'INVALID_RATING' })
+
+    const item = await reviews.rate(ownerOf(session), slug, quality)
+    if (!item) return res.status(404).json({ error: 'NOT_FOUND' })
+    res.json({ item })
+})
+
+app.delete('/api/review/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const removed = await reviews.remove(ownerOf(session), String(req.params.slug || '').trim())
+    if (!removed) return res.status(404).json({ error: 'NOT_FOUND' })
+    res.json({ ok: true })
+})
+
+// `submit` snapshots are taken by /api/submit itself.
+const DRAFT_SNAPSHOT_REASONS = ['restore']
+
+app.get('/api/drafts/:slug', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    res.json(await drafts.list(ownerOf(session), slug))
+})
+
+app.get('/api/drafts/:slug/:lang', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    const lang = String(req.params.lang || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+    if (!lang) return res.status(400).json({ error: 'LANG_REQUIRED' })
+
+    res.json({ draft: await drafts.get(ownerOf(session), slug, lang) })
+})
+
+app.put('/api/drafts/:slug/:lang', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    const lang = String(req.params.lang || '').trim()
+    const code = req.body?.code
+    const snapshot = DRAFT_SNAPSHOT_REASONS.includes(req.body?.snapshot) ? req.body.snapshot : undefined
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+    if (!lang) return res.status(400).json({ error: 'LANG_REQUIRED' })
+    if (typeof code !== 'string') return res.status(400).json({ error: 'CODE_REQUIRED' })
+
+    res.json({ draft: await drafts.save(ownerOf(session), slug, lang, code, { snapshot }) })
+})
+
+app.delete('/api/drafts/:slug/:lang', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    const lang = String(req.params.lang || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+    if (!lang) return res.status(400).json({ error: 'LANG_REQUIRED' })
+
+    res.json({ draft: await drafts.reset(ownerOf(session), slug, lang) })
+})
+
+app.post('/api/submit', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const titleSlug = String(req.body?.slug || '').trim()
+    const lang = String(req.body?.lang || '').trim()
+    const typedCode = String(req.body?.code || '')
+    let questionId = req.body?.questionId
+    if (questionId != null) questionId = String(questionId)
+
+    if (!titleSlug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+    if (!lang) return res.status(400).json({ error: 'LANG_REQUIRED' })
+    if (!typedCode) return res.status(400).json({ error: 'CODE_REQUIRED' })
+
+    // `domain` sends the code to another linked site; question ids are per site, so look it up there.
+    const account = requireAccount(req, res, session)
+    if (!account) return
+    if (account !== session) questionId = null
+
+    if (!questionId) {
+        const q = await leetcode.question(account, titleSlug)
+        if (!q.ok) return sendUpstreamError(res, q)
+        questionId = q.data?.question?.id
+        if (!questionId) return sendUpstreamError(res, { ok: false, status: 200, error: 'NO_QUESTION_ID' })
+    }
+
+    const submit = await leetcode.submit(account, { titleSlug, questionId, lang, typedCode })
+    if (!submit.ok) {
+        return sendUpstreamError(res, submit)
+    }
+
+    await drafts.save(ownerOf(session), titleSlug, lang, typedCode, { snapshot: 'submit' })
+
+    // Inside a virtual contest, the attempt counts towards that run's penalties.
+    const virtualId = String(req.body?.virtualId || '').trim()
+    let virtual = false
+    if (virtualId) {
+        virtual = await virtualContests.recordSubmission(ownerOf(session), virtualId, titleSlug, submit.submissionId)
+    }
+    trackVerdict(session, submit.submissionId, titleSlug, { virtualId: virtual ? virtualId : null, account })
+
+    res.json({ submissionId: submit.submissionId, domain: account.domain, virtual })
+})
+
+app.post('/api/run', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const titleSlug = String(req.body?.slug || '').trim()
+    const lang = String(req.body?.lang || '').trim()
+    const typedCode = String(req.body?.code || '')
+    const dataInput = String(req.body?.input ?? '')
+    let questionId = req.body?.questionId
+    if (questionId != null) questionId = String(questionId)
+
+    if (!titleSlug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+    if (!lang) return res.status(400).json({ error: 'LANG_REQUIRED' })
+    if (!typedCode) return res.status(400).json({ error: 'CODE_REQUIRED' })
+
+    if (!questionId) {
+        const q = await leetcode.question(session, titleSlug)
+        if (!q.ok) return sendUpstreamError(res, q)
+        questionId = q.data?.question?.id
+        if (!questionId) return sendUpstreamError(res, { ok: false, status: 200, error: 'NO_QUESTION_ID' })
+    }
+
+    const run = await leetcode.interpret(session, { titleSlug, questionId, lang, typedCode, dataInput })
+    if (!run.ok) {
+        return sendUpstreamError(res, run)
+    }
+
+    res.json({ interpretId: run.interpretId })
+})
+
+/**
+ * Runs the code on this machine instead of LeetCode (javascript, typescript, python3). Works offline
+ * once the statement is cached; answers with a run-check shaped `result` (`local: true`) directly.
+ */
+app.post('/api/run/local', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const titleSlug = String(req.body?.slug || '').trim()
+    const lang = String(req.body?.lang || '').trim()
+    const code = String(req.body?.code || '')
+    const input = String(req.body?.input ?? '')
+
+    if (!titleSlug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+    if (!lang) return res.status(400).json({ error: 'LANG_REQUIRED' })
+    if (!code) return res.status(400).json({ error: 'CODE_REQUIRED' })
+
+    const q = await getQuestion(session, titleSlug)
+    if (!q.ok) return sendUpstreamError(res, q)
+
+    try {
+        const result = await localJudge.run({ question: q.question, lang, code, input })
+        res.json({ result })
+    } catch (e) {
+        if (!(e instanceof LocalJudgeError)) throw e
+        res.status(e.status).json({ error: e.code, message: e.message })
+    }
+})
+
+app.get('/api/run/:id/check', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    // Interpret ids look like `runcode_1700000000.123_abcdef`, not plain numbers.
+    const id = String(req.params.id || '').trim()
+    if (!/^[\w.-]+$/.test(id)) return res.status(400).json({ error: 'INVALID_INTERPRET_ID' })
+
+    const titleSlug = String(req.query.slug || '').trim() || undefined
+    const check = await leetcode.submissionCheck(session, id, { titleSlug })
+    if (!check.ok) {
+        return sendUpstreamError(res, check)
+    }
+
+    res.json({ result: check.data })
+})
+
+app.get('/api/problem/:slug/submissions', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    const offset = Math.max(0, Math.floor(Number(req.query.offset) || 0))
+    const limit = Math.min(50, Math.max(1, Math.floor(Number(req.query.limit) || 20)))
+    const lastKey = String(req.query.lastKey || '').trim() || null
+
+    const list = await leetcode.submissionList(session, { titleSlug: slug, offset, limit, lastKey })
+    if (!list.ok) {
+        return sendUpstreamError(res, list)
+    }
+
+    res.json(list.data)
+})
+
+/** The official editorial of a problem (`editorial: null` when it has none). Query: `domain`. */
+app.get('/api/problem/:slug/editorial', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    const account = requireAccount(req, res, session)
+    if (!account) return
+
+    const editorial = await leetcode.editorial(account, slug)
+    if (!editorial.ok) return sendUpstreamError(res, editorial)
+
+    res.json({ editorial: editorial.data, domain: account.domain })
+})
+
+const SOLUTION_SORTS = ['hot', 'votes', 'recent']
+
+/**
+ * Community solutions without their content. Query: `skip`, `limit` (≤ 50), `sort` (hot / votes / recent),
+ * `lang` (comma-separated language tags such as `python3,cpp`) and `domain`.
+ */
+app.get('/api/problem/:slug/solutions', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const slug = String(req.params.slug || '').trim()
+    if (!slug) return res.status(400).json({ error: 'SLUG_REQUIRED' })
+
+    const account = requireAccount(req, res, session)
+    if (!account) return
+
+    const skip = Math.max(0, Math.floor(Number(req.query.skip) || 0))
+    const limit = Math.min(50, Math.max(1, Math.floor(Number(req.query.limit) || 15)))
+    const sort = SOLUTION_SORTS.includes(req.query.sort) ? req.query.sort : 'hot'
+    const languages = splitList(req.query.lang).map((x) => x.toLowerCase())
+
+    const list = await leetcode.solutionList(account, { titleSlug: slug, skip, limit, order: sort, languages })
+    if (!list.ok) return sendUpstreamError(res, list)
+
+    res.json({ ...list.data, skip, limit, sort, domain: account.domain })
+})
+
+/** One community solution with its markdown content; `:id` is an item id from the list above. */
+app.get('/api/problem/:slug/solutions/:id', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const id = String(req.params.id || '').trim()
+    if (!id) return res.status(400).json({ error: 'SOLUTION_ID_REQUIRED' })
+
+    const account = requireAccount(req, res, session)
+    if (!account) return
+
+    const solution = await leetcode.solution(account, id)
+    if (!solution.ok) return sendUpstreamError(res, solution)
+
+    res.json({ solution: solution.data, domain: account.domain })
+})
+
+app.get('/api/submission/:id', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const id = Number(req.params.id)
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'INVALID_SUBMISSION_ID' })
+
+    const account = requireAccount(req, res, session)
+    if (!account) return
+
+    const detail = await leetcode.submissionDetail(account, id)
+    if (!detail.ok) {
+        return sendUpstreamError(res, detail)
+    }
+
+    res.json({ submission: detail.data })
+})
+
+app.get('/api/submission/:id/check', async (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const id = Number(req.params.id)
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'INVALID_SUBMISSION_ID' })
+
+    const account = requireAccount(req, res, session)
+    if (!account) return
 
     const titleSlug = String(req.query.slug || '').trim() || undefined
-    const check = await lcSubmissionCheck(session, id, { titleSlug })
+    const check = await leetcode.submissionCheck(account, id, { titleSlug })
     if (!check.ok) {
-        return res.status(502).json({ error: 'UPSTREAM_ERROR', detail: check })
+        return sendUpstreamError(res, check)
     }
 
     res.json({ submission: check.data })
 })
 
-app.listen(PORT, () => {
+/**
+ * Server-Sent Events stream of judge progress: `state` while pending, then one of `done` / `error` / `timeout`.
+ * All tabs watching the same submission share a single upstream poller.
+ */
+app.get('/api/submission/:id/events', (req, res) => {
+    const session = requireSession(req, res)
+    if (!session) return
+
+    const id = Number(req.params.id)
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'INVALID_SUBMISSION_ID' })
+
+    const account = requireAccount(req, res, session)
+    if (!account) return
+
+    const titleSlug = String(req.query.slug || '').trim() || undefined
+
+    res.set({
+        'content-type': 'text/event-stream',
+        'cache-control': 'no-cache',
+        connection: 'keep-alive',
+    })
+    res.flushHeaders()
+
+    const key = submissionWatchKey(ownerOf(account), id)
+    let closed = false
+
+    const unsubscribe = submissionWatcher.subscribe(
+        key,
+        () => leetcode.submissionCheck(account, id, { titleSlug }),
+        (event, payload) => {
+            if (closed) return
+            res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`)
+            if (event !== 'state') close()
+        }
+    )
+
+    // Comment lines keep proxies from dropping an idle stream.
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000)
+
+    function close() {
+        if (closed) return
+        closed = true
+        clearInterval(heartbeat)
+        unsubscribe()
+        res.end()
+    }
+
+    req.on('close', close)
+})
+
+// Handlers let UpstreamError (no answer from LeetCode) propagate; Express 5 forwards it here.
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err)
+    if (err instanceof UpstreamError) {
+        return sendUpstreamError(res, { ok: false, status: 0, error: err.code, raw: err.message })
+    }
+    // eslint-disable-next-line no-console
+    console.error('[lc-proxy]', err)
+    res.status(500).json({ error: 'INTERNAL_ERROR' })
+})
+
+app.listen(PORT, HOST, () => {
     // eslint-disable-next-line no-console
-    console.log(`[lc-proxy] listening on http://localhost:${PORT}`)
+    console.log(`[lc-proxy] listening on http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT}`)
+    if (LAN_BIND && !access.enabled) {
+        // eslint-disable-next-line no-console
+        console.warn('[lc-proxy] serving the LAN without LC_ACCESS_PASSWORD: anyone on the network can use your sessions')
+    }
 })
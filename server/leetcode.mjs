@@ -0,0 +1,868 @@
+import crypto from 'node:crypto'
+import { httpFailure, upstreamKey } from './upstream.mjs'
+
+export const ZH_ACCEPT_LANGUAGE = 'zh-CN,zh;q=0.9,en;q=0.8'
+
+export function isCnDomain(domain) {
+    return String(domain || '').toLowerCase().endsWith('leetcode.cn')
+}
+
+// leetcode.com says `Easy`, some leetcode.cn schemas say `EASY`.
+export function normalizeDifficulty(value) {
+    const d = String(value || '').toLowerCase()
+    if (d === 'easy') return 'Easy'
+    if (d === 'medium') return 'Medium'
+    if (d === 'hard') return 'Hard'
+    return 'Unknown'
+}
+
+const QUERY_USER_COM = `
+    query globalData {
+        userStatus {
+            id: userId
+            name: username
+            is_signed_in: isSignedIn
+            is_premium: isPremium
+            is_verified: isVerified
+            session_id: activeSessionId
+        }
+    }
+`
+
+const QUERY_USER_CN = `
+    query globalData {
+        userStatus {
+            slug: userSlug
+            name: username
+            real_name: realName
+            is_signed_in: isSignedIn
+            is_premium: isPremium
+            is_verified: isVerified
+        }
+    }
+`
+
+export function normalizeUser(domain, userStatus) {
+    if (!userStatus) return null
+
+    const isVerifiedRaw = userStatus.is_verified
+    const isVerified =
+        typeof isVerifiedRaw === 'boolean' ? isVerifiedRaw : isVerifiedRaw == null ? null : Boolean(isVerifiedRaw)
+
+    if (isCnDomain(domain)) {
+        return {
+            id: null,
+            name: userStatus.name ?? null,
+            is_signed_in: Boolean(userStatus.is_signed_in),
+            is_premium: Boolean(userStatus.is_premium),
+            is_verified: isVerified,
+            session_id: null,
+            slug: userStatus.slug ?? null,
+            real_name: userStatus.real_name ?? null,
+        }
+    }
+
+    return {
+        id: userStatus.id ?? null,
+        name: userStatus.name ?? null,
+        is_signed_in: Boolean(userStatus.is_signed_in),
+        is_premium: Boolean(userStatus.is_premium),
+        is_verified: isVerified,
+        session_id: userStatus.session_id ?? null,
+    }
+}
+
+const QUERY_QUESTION = `
+  query ($titleSlug: String!) {
+    question(titleSlug: $titleSlug) {
+      id: questionId
+      frontend_id: questionFrontendId
+      title
+            translated_title: translatedTitle
+      title_slug: titleSlug
+      is_paid_only: isPaidOnly
+      difficulty
+      likes
+      dislikes
+      content
+            translated_content: translatedContent
+      testcase_list: exampleTestcaseList
+      topic_tags: topicTags {
+        name
+        slug
+        translated_name: translatedName
+      }
+      similar_questions: similarQuestions
+      hints
+      meta_data: metaData
+      code_snippets: codeSnippets {
+        lang
+        lang_slug: langSlug
+        code
+      }
+    }
+  }
+`
+
+// Some schema variants use titleCn instead of translatedTitle.
+const QUERY_QUESTION_TITLECN = `
+    query ($titleSlug: String!) {
+        question(titleSlug: $titleSlug) {
+            id: questionId
+            frontend_id: questionFrontendId
+            title
+            translated_title: titleCn
+            title_slug: titleSlug
+            is_paid_only: isPaidOnly
+            difficulty
+            likes
+            dislikes
+            content
+            translated_content: translatedContent
+            testcase_list: exampleTestcaseList
+            topic_tags: topicTags {
+                name
+                slug
+                translated_name: translatedName
+            }
+            similar_questions: similarQuestions
+            hints
+            meta_data: metaData
+            code_snippets: codeSnippets {
+                lang
+                lang_slug: langSlug
+                code
+            }
+        }
+    }
+`
+
+const QUERY_PROBLEMSET_LIST = `
+    query problemsetQuestionList($categorySlug: String, $limit: Int, $skip: Int, $filters: QuestionListFilterInput) {
+        problemsetQuestionList(categorySlug: $categorySlug, limit: $limit, skip: $skip, filters: $filters) {
+            total
+            questions {
+                id: questionId
+                frontendId: frontendQuestionId
+                title
+                titleZh: translatedTitle
+                titleSlug
+                paidOnly: isPaidOnly
+                difficulty
+                status
+                acRate
+                tags: topicTags {
+                    slug
+                }
+            }
+        }
+    }
+`
+
+// Some LeetCode schema variants expose Chinese title as `titleCn` instead of `translatedTitle` on list nodes.
+const QUERY_PROBLEMSET_LIST_TITLECN = `
+    query problemsetQuestionList($categorySlug: String, $limit: Int, $skip: Int, $filters: QuestionListFilterInput) {
+        problemsetQuestionList(categorySlug: $categorySlug, limit: $limit, skip: $skip, filters: $filters) {
+            total
+            questions {
+                id: questionId
+                frontendId: frontendQuestionId
+                title
+                titleZh: titleCn
+                titleSlug
+                paidOnly: isPaidOnly
+                difficulty
+                status
+                acRate
+                tags: topicTags {
+                    slug
+                }
+            }
+        }
+    }
+`
+
+const QUERY_SUBMISSION_LIST_COM = `
+    query submissionList($offset: Int!, $limit: Int!, $lastKey: String, $questionSlug: String!) {
+        questionSubmissionList(offset: $offset, limit: $limit, lastKey: $lastKey, questionSlug: $questionSlug) {
+            lastKey
+            hasNext
+            submissions {
+                id
+                status_display: statusDisplay
+                lang
+                lang_name: langName
+                runtime
+                memory
+                timestamp
+                is_pending: isPending
+            }
+        }
+    }
+`
+
+const QUERY_SUBMISSION_LIST_CN = `
+    query submissionList($offset: Int!, $limit: Int!, $lastKey: String, $questionSlug: String!) {
+        submissionList(offset: $offset, limit: $limit, lastKey: $lastKey, questionSlug: $questionSlug) {
+            lastKey
+            hasNext
+            submissions {
+                id
+                status_display: statusDisplay
+                lang
+                lang_name: langName
+                runtime
+                memory
+                timestamp
+                is_pending: isPending
+            }
+        }
+    }
+`
+
+const QUERY_SUBMISSION_DETAIL_COM = `
+    query submissionDetails($submissionId: Int!) {
+        submissionDetails(submissionId: $submissionId) {
+            runtime: runtimeDisplay
+            runtime_percentile: runtimePercentile
+            memory: memoryDisplay
+            memory_percentile: memoryPercentile
+            code
+            timestamp
+            status_code: statusCode
+            lang {
+                name
+                verbose_name: verboseName
+            }
+            question {
+                title_slug: titleSlug
+            }
+            compile_error: compileError
+            runtime_error: runtimeError
+            last_testcase: lastTestcase
+            code_output: codeOutput
+            expected_output: expectedOutput
+            total_correct: totalCorrect
+            total_testcases: totalTestcases
+        }
+    }
+`
+
+const QUERY_SUBMISSION_DETAIL_CN = `
+    query submissionDetail($submissionId: ID!) {
+        submissionDetail(submissionId: $submissionId) {
+            id
+            code
+            runtime
+            memory
+            status_display: statusDisplay
+            timestamp
+            lang
+            lang_verbose_name: langVerboseName
+            runtime_percentile: runtimePercentile
+            memory_percentile: memoryPercentile
+            question {
+                title_slug: titleSlug
+            }
+            passed_test_case_count: passedTestCaseCount
+            total_test_case_count: totalTestCaseCount
+            output_detail: outputDetail {
+                code_output: codeOutput
+                expected_output: expectedOutput
+                input
+                compile_error: compileError
+                runtime_error: runtimeError
+                last_testcase: lastTestcase
+            }
+        }
+    }
+`
+
+const QUERY_EDITORIAL_COM = `
+    query officialSolution($titleSlug: String!) {
+        question(titleSlug: $titleSlug) {
+            solution {
+                id
+                title
+                content
+                paid_only: paidOnly
+                can_see_detail: canSeeDetail
+            }
+        }
+    }
+`
+
+const QUERY_SOLUTION_LIST_COM = `
+    query ugcArticleSolutionArticles(
+        $questionSlug: String!
+        $orderBy: ArticleOrderByEnum
+        $tagSlugs: [String!]
+        $skip: Int
+        $first: Int
+    ) {
+        ugcArticleSolutionArticles(
+            questionSlug: $questionSlug
+            orderBy: $orderBy
+            tagSlugs: $tagSlugs
+            skip: $skip
+            first: $first
+        ) {
+            totalNum
+            pageInfo {
+                hasNextPage
+            }
+            edges {
+                node {
+                    topicId
+                    title
+                    summary
+                    createdAt
+                    hitCount
+                    isLeetcode
+                    author {
+                        userName
+                    }
+                    reactions {
+                        count
+                        reactionType
+                    }
+                    tags {
+                        name
+                        slug
+                    }
+                    topic {
+                        topLevelCommentCount
+                    }
+                }
+            }
+        }
+    }
+`
+
+const QUERY_SOLUTION_COM = `
+    query ugcArticleSolutionArticle($topicId: ID) {
+        ugcArticleSolutionArticle(topicId: $topicId) {
+            topicId
+            title
+            content
+            createdAt
+            hitCount
+            isLeetcode
+            author {
+                userName
+            }
+            reactions {
+                count
+                reactionType
+            }
+            tags {
+                name
+                slug
+            }
+            topic {
+                topLevelCommentCount
+            }
+        }
+    }
+`
+
+const QUERY_SOLUTION_LIST_CN = `
+    query questionSolutionArticles(
+        $questionSlug: String!
+        $skip: Int
+        $first: Int
+        $orderBy: SolutionArticleOrderBy
+        $tagSlugs: [String!]
+    ) {
+        questionSolutionArticles(
+            questionSlug: $questionSlug
+            skip: $skip
+            first: $first
+            orderBy: $orderBy
+            tagSlugs: $tagSlugs
+        ) {
+            totalNum
+            edges {
+                node {
+                    slug
+                    title
+                    summary
+                    createdAt
+                    upvoteCount
+                    byLeetcode
+                    author {
+                        username
+                    }
+                    topic {
+                        commentCount
+                        viewCount
+                    }
+                    tags {
+                        name
+                        nameTranslated
+                        slug
+                    }
+                }
+            }
+        }
+    }
+`
+
+const QUERY_SOLUTION_CN = `
+    query solutionArticle($slug: String!) {
+        solutionArticle(slug: $slug) {
+            slug
+            title
+            content
+            createdAt
+            upvoteCount
+            byLeetcode
+            author {
+                username
+            }
+            topic {
+                commentCount
+                viewCount
+            }
+            tags {
+                name
+                nameTranslated
+                slug
+            }
+        }
+    }
+`
+
+// Sort keys accepted by the solution endpoints, per site.
+const SOLUTION_ORDER = {
+    com: { hot: 'HOT', votes: 'MOST_VOTES', recent: 'MOST_RECENT' },
+    cn: { hot: 'DEFAULT', votes: 'MOST_UPVOTE', recent: 'NEWEST_TO_OLDEST' },
+}
+
+function timestampOf(value) {
+    const ms = typeof value === 'number' ? value * 1000 : Date.parse(value)
+    return Number.isFinite(ms) ? ms : null
+}
+
+// One shape for both sites. `id` is what the detail query takes: the topic id on .com, the article slug on .cn.
+function normalizeSolution(domain, node) {
+    if (isCnDomain(domain)) {
+        return {
+            id: String(node.slug),
+            title: node.title ?? '',
+            summary: node.summary ?? null,
+            author: node.author?.username ?? null,
+            votes: node.upvoteCount ?? 0,
+            comments: node.topic?.commentCount ?? 0,
+            views: node.topic?.viewCount ?? 0,
+            createdAt: timestampOf(node.createdAt),
+            official: Boolean(node.byLeetcode),
+            tags: (node.tags || []).map((x) => ({ slug: x.slug, name: x.nameTranslated || x.name })),
+            content: node.content ?? null,
+        }
+    }
+
+    return {
+        id: String(node.topicId),
+        title: node.title ?? '',
+        summary: node.summary ?? null,
+        author: node.author?.userName ?? null,
+        votes: (node.reactions || []).find((r) => r.reactionType === 'UPVOTE')?.count ?? 0,
+        comments: node.topic?.topLevelCommentCount ?? 0,
+        views: node.hitCount ?? 0,
+        createdAt: timestampOf(node.createdAt),
+        official: Boolean(node.isLeetcode),
+        tags: (node.tags || []).map((x) => ({ slug: x.slug, name: x.name })),
+        content: node.content ?? null,
+    }
+}
+
+// Judge status codes shared by /check/ and submission details.
+export const STATUS_MESSAGES = {
+    10: 'Accepted',
+    11: 'Wrong Answer',
+    12: 'Memory Limit Exceeded',
+    13: 'Output Limit Exceeded',
+    14: 'Time Limit Exceeded',
+    15: 'Runtime Error',
+    16: 'Internal Error',
+    20: 'Compile Error',
+    30: 'Timeout',
+}
+
+function normalizeSubmissionListItem(x) {
+    const ts = Number(x.timestamp)
+    return {
+        id: Number(x.id),
+        status: x.status_display ?? null,
+        lang: x.lang ?? null,
+        lang_name: x.lang_name ?? x.lang ?? null,
+        runtime: x.runtime ?? null,
+        memory: x.memory ?? null,
+        timestamp: Number.isFinite(ts) ? ts : null,
+        is_pending: x.is_pending === true || x.is_pending === 'Pending',
+    }
+}
+
+function normalizeSubmissionDetail(domain, id, d) {
+    const ts = Number(d.timestamp)
+    const common = {
+        id,
+        code: d.code ?? '',
+        runtime: d.runtime ?? null,
+        memory: d.memory ?? null,
+        runtime_percentile: d.runtime_percentile ?? null,
+        memory_percentile: d.memory_percentile ?? null,
+        timestamp: Number.isFinite(ts) ? ts : null,
+        title_slug: d.question?.title_slug ?? null,
+    }
+
+    if (isCnDomain(domain)) {
+        const out = d.output_detail || {}
+        return {
+            ...common,
+            status: d.status_display ?? null,
+            lang: d.lang ?? null,
+            lang_name: d.lang_verbose_name ?? d.lang ?? null,
+            compile_error: out.compile_error || null,
+            runtime_error: out.runtime_error || null,
+            last_testcase: out.last_testcase || out.input || null,
+            code_output: out.code_output ?? null,
+            expected_output: out.expected_output ?? null,
+            total_correct: d.passed_test_case_count ?? null,
+            total_testcases: d.total_test_case_count ?? null,
+        }
+    }
+
+    return {
+        ...common,
+        status: STATUS_MESSAGES[d.status_code] ?? null,
+        status_code: d.status_code ?? null,
+        lang: d.lang?.name ?? null,
+        lang_name: d.lang?.verbose_name ?? d.lang?.name ?? null,
+        compile_error: d.compile_error || null,
+        runtime_error: d.runtime_error || null,
+        last_testcase: d.last_testcase ?? null,
+        code_output: d.code_output ?? null,
+        expected_output: d.expected_output ?? null,
+        total_correct: d.total_correct ?? null,
+        total_testcases: d.total_testcases ?? null,
+    }
+}
+
+/**
+ * LeetCode calls shared by the proxy and the CLI. Every method takes the session
+ * (`{ domain, cookie, csrftoken, acceptLanguage? }`) first and resolves to a result object
+ * (`{ ok, status, error, raw }` on failure); upstream errors without a response are thrown as
+ * UpstreamError by `upstream` (see createUpstreamClient).
+ */
+export function createLeetCodeClient({ upstream }) {
+    /**
+     * GETs are retried on 429/5xx; other methods only when `idempotent` is set (GraphQL reads).
+     * Throws UpstreamError when LeetCode does not answer at all.
+     */
+    async function lcFetch(session, path, init = {}, { idempotent } = {}) {
+        const domain = session?.domain || 'leetcode.com'
+        const url = path.startsWith('http') ? path : `https://${domain}${path}`
+
+        const headers = new Headers(init.headers || {})
+        if (session?.cookie) headers.set('cookie', session.cookie)
+        if (session?.csrftoken) headers.set('x-csrftoken', session.csrftoken)
+        if (session?.acceptLanguage && !headers.has('accept-language')) {
+            headers.set('accept-language', session.acceptLanguage)
+        }
+        if (!headers.has('referer')) headers.set('referer', `https://${domain}/`)
+        if (!headers.has('origin')) headers.set('origin', `https://${domain}`)
+
+        const method = String(init.method || 'GET').toUpperCase()
+        return upstream.fetch(
+            upstreamKey(session),
+            url,
+            { ...init, headers },
+            { idempotent: idempotent ?? (method === 'GET' || method === 'HEAD') }
+        )
+    }
+
+    // Identical concurrent queries for the same credentials share one upstream request.
+    function lcGraphql(session, query, variables) {
+        const key = crypto
+            .createHash('sha1')
+            .update(JSON.stringify([upstreamKey(session), session?.acceptLanguage || '', query, variables ?? null]))
+            .digest('hex')
+        return upstream.coalesce(key, () => lcGraphqlRequest(session, query, variables))
+    }
+
+    async function lcGraphqlRequest(session, query, variables) {
+        const resp = await lcFetch(
+            session,
+            '/graphql/',
+            {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                },
+                body: JSON.stringify({ query, variables }),
+            },
+            { idempotent: true }
+        )
+
+        const text = await resp.text()
+        let json
+        try {
+            json = JSON.parse(text)
+        } catch {
+            return { ok: false, status: resp.status, error: 'INVALID_JSON', raw: text }
+        }
+
+        if (!resp.ok) {
+            return httpFailure(resp, json)
+        }
+
+        if (json.errors?.length) {
+            return { ok: false, status: 200, error: 'GRAPHQL_ERROR', raw: json }
+        }
+
+        return { ok: true, status: 200, data: json.data }
+    }
+
+    async function lcQuestion(session, titleSlug) {
+        const variables = { titleSlug }
+        const first = await lcGraphql(session, QUERY_QUESTION, variables)
+        if (first.ok) return first
+        const second = await lcGraphql(session, QUERY_QUESTION_TITLECN, variables)
+        if (second.ok) return second
+        return first
+    }
+
+    async function lcProblemsetQuestionList(session, variables) {
+        const first = await lcGraphql(session, QUERY_PROBLEMSET_LIST, variables)
+        if (first.ok) return first
+        const second = await lcGraphql(session, QUERY_PROBLEMSET_LIST_TITLECN, variables)
+        if (second.ok) return second
+        return first
+    }
+
+    async function lcSubmit(session, { titleSlug, questionId, lang, typedCode }) {
+        const domain = session?.domain || 'leetcode.com'
+        const resp = await lcFetch(session, `/problems/${encodeURIComponent(titleSlug)}/submit/`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'x-requested-with': 'XMLHttpRequest',
+                referer: `https://${domain}/problems/${encodeURIComponent(titleSlug)}/`,
+            },
+            body: JSON.stringify({ lang, question_id: questionId, typed_code: typedCode }),
+        })
+
+        const rawText = await resp.text().catch(() => '')
+        let json = null
+        try {
+            json = rawText ? JSON.parse(rawText) : null
+        } catch {
+            // keep json as null
+        }
+
+        if (!resp.ok) {
+            return httpFailure(resp, json ?? rawText)
+        }
+
+        const submissionId = json?.submission_id ?? json?.submissionId
+        if (!submissionId) {
+            return { ok: false, status: resp.status, error: 'NO_SUBMISSION_ID', raw: json ?? rawText }
+        }
+
+        return { ok: true, status: resp.status, submissionId: Number(submissionId) }
+    }
+
+    async function lcInterpret(session, { titleSlug, questionId, lang, typedCode, dataInput }) {
+        const domain = session?.domain || 'leetcode.com'
+        const resp = await lcFetch(session, `/problems/${encodeURIComponent(titleSlug)}/interpret_solution/`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'x-requested-with': 'XMLHttpRequest',
+                referer: `https://${domain}/problems/${encodeURIComponent(titleSlug)}/`,
+            },
+            body: JSON.stringify({ lang, question_id: questionId, typed_code: typedCode, data_input: dataInput }),
+        })
+
+        const rawText = await resp.text().catch(() => '')
+        let json = null
+        try {
+            json = rawText ? JSON.parse(rawText) : null
+        } catch {
+            // keep json as null
+        }
+
+        if (!resp.ok) {
+            return httpFailure(resp, json ?? rawText)
+        }
+
+        const interpretId = json?.interpret_id ?? json?.interpretId
+        if (!interpretId) {
+            return { ok: false, status: resp.status, error: 'NO_INTERPRET_ID', raw: json ?? rawText }
+        }
+
+        return { ok: true, status: resp.status, interpretId: String(interpretId) }
+    }
+
+    async function lcSubmissionCheck(session, submissionId, { titleSlug } = {}) {
+        const domain = session?.domain || 'leetcode.com'
+        const referer = titleSlug
+            ? `https://${domain}/problems/${encodeURIComponent(titleSlug)}/submissions/`
+            : `https://${domain}/submissions/detail/${encodeURIComponent(String(submissionId))}/`
+
+        const resp = await lcFetch(session, `/submissions/detail/${encodeURIComponent(String(submissionId))}/check/`, {
+            method: 'GET',
+            headers: {
+                'x-requested-with': 'XMLHttpRequest',
+                referer,
+            },
+        })
+
+        const rawText = await resp.text().catch(() => '')
+        let json = null
+        try {
+            json = rawText ? JSON.parse(rawText) : null
+        } catch {
+            // keep json as null
+        }
+
+        if (!resp.ok) {
+            return httpFailure(resp, json ?? rawText)
+        }
+
+        return { ok: true, status: resp.status, data: json }
+    }
+
+    async function lcSubmissionList(session, { titleSlug, offset = 0, limit = 20, lastKey = null }) {
+        const cn = isCnDomain(session?.domain)
+        const resp = await lcGraphql(session, cn ? QUERY_SUBMISSION_LIST_CN : QUERY_SUBMISSION_LIST_COM, {
+            questionSlug: titleSlug,
+            offset,
+            limit,
+            lastKey,
+        })
+        if (!resp.ok) return resp
+
+        const list = cn ? resp.data?.submissionList : resp.data?.questionSubmissionList
+        return {
+            ok: true,
+            status: 200,
+            data: {
+                submissions: (list?.submissions || []).map(normalizeSubmissionListItem),
+                hasNext: Boolean(list?.hasNext),
+                lastKey: list?.lastKey ?? null,
+            },
+        }
+    }
+
+    async function lcSubmissionDetail(session, submissionId) {
+        const cn = isCnDomain(session?.domain)
+        const resp = await lcGraphql(session, cn ? QUERY_SUBMISSION_DETAIL_CN : QUERY_SUBMISSION_DETAIL_COM, {
+            submissionId: cn ? String(submissionId) : Number(submissionId),
+        })
+        if (!resp.ok) return resp
+
+        const detail = cn ? resp.data?.submissionDetail : resp.data?.submissionDetails
+        if (!detail) return { ok: false, status: 404, error: 'NOT_FOUND' }
+        return { ok: true, status: 200, data: normalizeSubmissionDetail(session?.domain, Number(submissionId), detail) }
+    }
+
+    /**
+     * The official editorial, or `data: null` when the problem has none. .com serves it with the question
+     * (`canSee` is false for premium editorials without premium); .cn publishes it as a solution article
+     * written by the LeetCode account.
+     */
+    async function lcEditorial(session, titleSlug) {
+        const domain = session?.domain
+        if (isCnDomain(domain)) {
+            const list = await lcSolutionList(session, { titleSlug, skip: 0, limit: 10, order: 'hot' })
+            if (!list.ok) return list
+            const official = list.data.items.find((x) => x.official)
+            if (!official) return { ok: true, status: 200, data: null }
+            const article = await lcSolution(session, official.id)
+            if (!article.ok) return article
+            return { ok: true, status: 200, data: { ...article.data, paidOnly: false, canSee: true } }
+        }
+
+        const resp = await lcGraphql(session, QUERY_EDITORIAL_COM, { titleSlug })
+        if (!resp.ok) return resp
+        const solution = resp.data?.question?.solution
+        if (!solution) return { ok: true, status: 200, data: null }
+        const canSee = solution.can_see_detail !== false
+        return {
+            ok: true,
+            status: 200,
+            data: {
+                id: String(solution.id),
+                title: solution.title ?? '',
+                content: canSee ? solution.content ?? '' : null,
+                official: true,
+                paidOnly: Boolean(solution.paid_only),
+                canSee,
+            },
+        }
+    }
+
+    /** Community solutions, `order` one of hot / votes / recent; `languages` are tag slugs such as `python3`. */
+    async function lcSolutionList(session, { titleSlug, skip = 0, limit = 15, order = 'hot', languages = [] }) {
+        const cn = isCnDomain(session?.domain)
+        const orders = SOLUTION_ORDER[cn ? 'cn' : 'com']
+        const variables = {
+            questionSlug: titleSlug,
+            skip,
+            first: limit,
+            orderBy: orders[order] ?? orders.hot,
+            tagSlugs: languages,
+        }
+        const resp = await lcGraphql(session, cn ? QUERY_SOLUTION_LIST_CN : QUERY_SOLUTION_LIST_COM, variables)
+        if (!resp.ok) return resp
+
+        const list = cn ? resp.data?.questionSolutionArticles : resp.data?.ugcArticleSolutionArticles
+        const items = (list?.edges || []).map((e) => normalizeSolution(session?.domain, e.node))
+        const total = Number(list?.totalNum) || 0
+        return {
+            ok: true,
+            status: 200,
+            data: { items, total, hasMore: list?.pageInfo?.hasNextPage ?? skip + items.length < total },
+        }
+    }
+
+    /** One community solution with its markdown `content`; `id` comes from lcSolutionList. */
+    async function lcSolution(session, id) {
+        const cn = isCnDomain(session?.domain)
+        const resp = await lcGraphql(
+            session,
+            cn ? QUERY_SOLUTION_CN : QUERY_SOLUTION_COM,
+            cn ? { slug: String(id) } : { topicId: String(id) }
+        )
+        if (!resp.ok) return resp
+
+        const article = cn ? resp.data?.solutionArticle : resp.data?.ugcArticleSolutionArticle
+        if (!article) return { ok: false, status: 404, error: 'NOT_FOUND' }
+        return { ok: true, status: 200, data: normalizeSolution(session?.domain, article) }
+    }
+
+    async function lcUserStatus(session) {
+        const me = await lcGraphql(session, isCnDomain(session?.domain) ? QUERY_USER_CN : QUERY_USER_COM, {})
+        if (!me.ok) return me
+        return { ok: true, status: 200, user: normalizeUser(session?.domain, me.data?.userStatus) }
+    }
+
+    return {
+        fetch: lcFetch,
+        graphql: lcGraphql,
+        question: lcQuestion,
+        problemsetQuestionList: lcProblemsetQuestionList,
+        userStatus: lcUserStatus,
+        submit: lcSubmit,
+        interpret: lcInterpret,
+        submissionCheck: lcSubmissionCheck,
+        submissionList: lcSubmissionList,
+        submissionDetail: lcSubmissionDetail,
+        editorial: lcEditorial,
+        solutionList: lcSolutionList,
+        solution: lcSolution,
+    }
+}
@@ -0,0 +1,367 @@
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+export const LOCAL_LANGS = ['javascript', 'typescript', 'python3']
+
+const JS_RUNNER = fileURLToPath(new URL('./runners/jsRunner.mjs', import.meta.url))
+const PY_RUNNER = fileURLToPath(new URL('./runners/py_runner.py', import.meta.url))
+const MAX_OUTPUT = 1024 * 1024
+// Same codes LeetCode uses for run results.
+const STATUS = {
+    10: 'Accepted',
+    12: 'Memory Limit Exceeded',
+    14: 'Time Limit Exceeded',
+    15: 'Runtime Error',
+    20: 'Compile Error',
+}
+
+/** Local judge failure the API reports as `{ error: code }` with the given HTTP status. */
+export class LocalJudgeError extends Error {
+    constructor(code, status, message) {
+        super(message || code)
+        this.name = 'LocalJudgeError'
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * `metaData` is a JSON string such as
+ * `{"name":"twoSum","params":[{"name":"nums","type":"integer[]"}],"return":{"type":"integer[]"}}`.
+ * Design problems (`systemdesign`) and `manual` ones have no single function to call; returns null.
+ */
+export function parseMetaData(raw) {
+    let meta = raw
+    if (typeof raw === 'string') {
+        try {
+            meta = JSON.parse(raw)
+        } catch {
+            return null
+        }
+    }
+    if (!meta || typeof meta !== 'object' || meta.systemdesign || meta.manual || !meta.name) return null
+    const params = Array.isArray(meta.params) ? meta.params : []
+    const index = meta.output?.paramindex
+    return {
+        fnName: String(meta.name),
+        params: params.map((p) => ({ name: String(p.name || ''), type: String(p.type || '') })),
+        returnType: String(meta.return?.type || 'void'),
+        outputParamIndex: Number.isInteger(index) ? index : null,
+    }
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+        .replace(/&amp;/g, '&')
+}
+
+/** Expected outputs of the statement's examples, in order, read from the `Output:` lines. */
+export function exampleOutputs(content) {
+    const html = String(content || '').replace(/<br\s*\/?>|<\/(p|pre|div|li)>/gi, '\n')
+    const text = decodeEntities(html.replace(/<[^>]*>/g, ''))
+    const out = []
+    for (const m of text.matchAll(/(?:Output|输出)\s*[:：]\s*([^\n]+)/g)) out.push(m[1].trim())
+    return out
+}
+
+function normalizeCase(lines) {
+    return lines.map((line) => line.trim()).join('\n')
+}
+
+/**
+ * Splits the run input (one parameter per line, cases back to back) into cases, attaching the
+ * expected output when a case is one of the statement's examples.
+ */
+export function splitCases(input, meta, { examples = [], outputs = [] } = {}) {
+    const lines = String(input || '')
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean)
+    const size = Math.max(1, meta.params.length)
+    if (lines.length % size !== 0) {
+        throw new LocalJudgeError('LOCAL_BAD_INPUT', 400, `Each case needs ${size} line(s) of input`)
+    }
+
+    const expectedByInput = new Map()
+    examples.forEach((example, i) => {
+        if (outputs[i] != null) expectedByInput.set(normalizeCase(String(example).split('\n')), outputs[i])
+    })
+
+    const cases = []
+    for (let i = 0; i < lines.length; i += size) {
+        const chunk = lines.slice(i, i + size)
+        let args
+        try {
+            args = chunk.map((line) => JSON.parse(line))
+        } catch {
+            throw new LocalJudgeError('LOCAL_BAD_INPUT', 400, `Case ${cases.length + 1} is not valid JSON`)
+        }
+        cases.push({ input: chunk.join('\n'), args, expected: expectedByInput.get(normalizeCase(chunk)) ?? null })
+    }
+    return cases
+}
+
+function isFloatType(type) {
+    return /double|float/.test(type)
+}
+
+// LeetCode prints floating point results with five decimals.
+function formatValue(type, value) {
+    const json = JSON.stringify(value) ?? 'null'
+    return isFloatType(type) ? json.replace(/-?\d+(\.\d+)?(e[+-]?\d+)?/gi, (n) => Number(n).toFixed(5)) : json
+}
+
+function sameValue(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) <= 1e-5
+    if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((x, i) => sameValue(x, b[i]))
+    return a === b
+}
+
+function compareOutput(actual, expected) {
+    try {
+        return sameValue(JSON.parse(actual), JSON.parse(expected))
+    } catch {
+        return actual.replace(/\s+/g, '') === expected.replace(/\s+/g, '')
+    }
+}
+
+/**
+ * Runs solutions on this machine, one child process per run, with an empty environment, a throwaway
+ * temp dir as working directory and CPU time and file size capped by rlimits. On top of that:
+ *   - Node: the permission model forbids file system access (beyond the runner) and child processes,
+ *     and only the V8 heap is capped. Network access is NOT restricted.
+ *   - Python: an audit hook blocks sockets, processes, file writes and reads outside the Python
+ *     installation and the temp dir; address space and process count are capped by rlimits.
+ * Neither is an OS-level sandbox; anyone who can reach the API (past LC_ACCESS_PASSWORD) runs code
+ * as the server's user.
+ */
+export function createLocalJudge({ timeLimit = 5, memoryLimit = 256, python = 'python3', maxConcurrent = 2 } = {}) {
+    let running = 0
+    const waiting = []
+
+    async function acquire() {
+        if (running < maxConcurrent) {
+            running++
+            return
+        }
+        await new Promise((resolve) => waiting.push(resolve))
+    }
+
+    function release() {
+        const next = waiting.shift()
+        if (next) next()
+        else running--
+    }
+
+    async function transpile(code) {
+        let ts
+        try {
+            ts = (await import('typescript')).default
+        } catch {
+            throw new LocalJudgeError('LOCAL_RUNTIME_MISSING', 503, 'The typescript package is not installed')
+        }
+        const out = ts.transpileModule(code, {
+            reportDiagnostics: true,
+            compilerOptions: { target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.None, removeComments: false },
+        })
+        const diagnostic = out.diagnostics?.find((d) => d.category === ts.DiagnosticCategory.Error)
+        if (diagnostic) {
+            const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+            if (diagnostic.file && diagnostic.start != null) {
+                const pos = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+                return { compileError: `Line ${pos.line + 1}: Char ${pos.character + 1}: ${message}` }
+            }
+            return { compileError: message }
+        }
+        return { code: out.outputText }
+    }
+
+    function commandFor(lang) {
+        if (lang === 'python3') return [python, ['-I', PY_RUNNER]]
+        const permission = Number(process.versions.node.split('.')[0]) >= 23 ? '--permission' : '--experimental-permission'
+        return [
+            process.execPath,
+            [
+                permission,
+                `--allow-fs-read=${JS_RUNNER}`,
+                '--no-warnings',
+                `--max-old-space-size=${memoryLimit}`,
+                JS_RUNNER,
+            ],
+        ]
+    }
+
+    async function execute(lang, payload) {
+        const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'leetlite-judge-'))
+        try {
+            return await new Promise((resolve, reject) => {
+                const [command, args] = commandFor(lang)
+                // rlimits come from the shell; Windows only gets the wall-clock timeout.
+                const useShell = process.platform !== 'win32'
+                const child = useShell
+                    ? spawn('/bin/sh', ['-c', `ulimit -t ${timeLimit} -f 0; exec "$@"`, 'sh', command, ...args], {
+                          cwd,
+                          env: { PATH: process.env.PATH || '' },
+                          stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+                      })
+                    : spawn(command, args, { cwd, env: {}, stdio: ['pipe', 'pipe', 'pipe', 'pipe'] })
+
+                let events = ''
+                let stderr = ''
+                let timedOut = false
+                const timer = setTimeout(() => {
+                    timedOut = true
+                    child.kill('SIGKILL')
+                }, (timeLimit + 2) * 1000)
+
+                child.stdio[3].on('data', (chunk) => {
+                    if (events.length < MAX_OUTPUT) events += chunk
+                })
+                child.stderr.on('data', (chunk) => {
+                    if (stderr.length < MAX_OUTPUT) stderr += chunk
+                })
+                // Output the solution writes straight to stdout is not part of any case.
+                child.stdout.resume()
+                child.stdin.on('error', () => {})
+                child.on('error', (e) => {
+                    clearTimeout(timer)
+                    reject(
+                        e.code === 'ENOENT'
+                            ? new LocalJudgeError('LOCAL_RUNTIME_MISSING', 503, `${command} is not installed`)
+                            : e
+                    )
+                })
+                child.on('close', (code, signal) => {
+                    clearTimeout(timer)
+                    const parsed = events
+                        .split('\n')
+                        .filter(Boolean)
+                        .map((line) => {
+                            try {
+                                return JSON.parse(line)
+                            } catch {
+                                return null
+                            }
+                        })
+                        .filter(Boolean)
+                    resolve({ events: parsed, stderr, code, signal, timedOut })
+                })
+                child.stdin.end(JSON.stringify(payload))
+            })
+        } finally {
+            await fs.rm(cwd, { recursive: true, force: true }).catch(() => {})
+        }
+    }
+
+    function toRunCheck(cases, meta, result) {
+        const compile = result.events.find((e) => 'compile' in e)
+        const base = {
+            state: 'SUCCESS',
+            local: true,
+            code_answer: [],
+            expected_code_answer: cases.map((c) => c.expected ?? ''),
+            std_output_list: [],
+            compare_result: '',
+        }
+        if (compile) {
+            return { ...base, run_success: false, status_code: 20, status_msg: STATUS[20], compile_error: compile.compile, full_compile_error: compile.compile }
+        }
+
+        const type = meta.outputParamIndex != null ? meta.params[meta.outputParamIndex]?.type : meta.returnType
+        const done = result.events.filter((e) => 'case' in e).sort((a, b) => a.case - b.case)
+        const answers = []
+        const stdout = []
+        let compare = ''
+        let ms = 0
+        let failure = null
+        for (const event of done) {
+            stdout.push(event.stdout || '')
+            if (!event.ok) {
+                failure = event
+                break
+            }
+            ms += event.ms || 0
+            const output = formatValue(type, event.value)
+            answers.push(output)
+            const expected = cases[event.case]?.expected
+            compare += expected == null ? '?' : compareOutput(output, expected) ? '1' : '0'
+        }
+
+        const oom = /heap out of memory|MemoryError/i.test(result.stderr) || failure?.memory
+        const killed = result.timedOut || result.signal === 'SIGXCPU' || result.signal === 'SIGKILL'
+        let status = 10
+        if (failure) status = oom ? 12 : 15
+        else if (done.length < cases.length) status = oom ? 12 : killed ? 14 : 15
+
+        const out = {
+            ...base,
+            run_success: status === 10,
+            status_code: status,
+            status_msg: STATUS[status],
+            code_answer: answers,
+            std_output_list: stdout,
+            compare_result: compare,
+            correct_answer: status === 10 && !compare.includes('0'),
+        }
+        if (status === 10) out.status_runtime = `${Math.round(ms)} ms`
+        if (status === 15) {
+            const text = failure?.error || result.stderr.trim() || `Exited with code ${result.code}`
+            out.runtime_error = text.split('\n')[0]
+            out.full_runtime_error = text
+        }
+        return out
+    }
+
+    return {
+        /**
+         * Runs `code` against `input` for a question (needs `meta_data`, `testcase_list`, `content`).
+         * Resolves to the same shape as LeetCode's run check, with `local: true`; compare_result has
+         * `?` for cases that are not statement examples (no known expected output).
+         */
+        async run({ question, lang, code, input }) {
+            if (!LOCAL_LANGS.includes(lang)) throw new LocalJudgeError('LOCAL_UNSUPPORTED', 400, `${lang} cannot run locally`)
+            const meta = parseMetaData(question.meta_data)
+            if (!meta) throw new LocalJudgeError('LOCAL_UNSUPPORTED', 400, 'This problem cannot be judged locally')
+
+            const cases = splitCases(input, meta, {
+                examples: question.testcase_list || [],
+                outputs: exampleOutputs(question.content),
+            })
+            if (!cases.length) throw new LocalJudgeError('LOCAL_BAD_INPUT', 400, 'No test cases')
+
+            let source = code
+            if (lang === 'typescript') {
+                const out = await transpile(code)
+                if (out.compileError) {
+                    return toRunCheck(cases, meta, { events: [{ compile: out.compileError }], stderr: '' })
+                }
+                source = out.code
+            }
+
+            await acquire()
+            try {
+                const result = await execute(lang, {
+                    code: source,
+                    fnName: meta.fnName,
+                    params: meta.params.map((p) => p.type),
+                    returnType: meta.returnType,
+                    outputParamIndex: meta.outputParamIndex,
+                    cases: cases.map((c) => c.args),
+                    memoryLimit: memoryLimit * 1024 * 1024,
+                })
+                return toRunCheck(cases, meta, result)
+            } finally {
+                release()
+            }
+        },
+    }
+}
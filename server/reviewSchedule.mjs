@@ -0,0 +1,115 @@
+import { createAccountStore } from './accountStore.mjs'
+
+const DAY = 1000 * 60 * 60 * 24
+const INITIAL_EASE = 2.5
+const MIN_EASE = 1.3
+const HISTORY_LIMIT = 20
+
+/** Recall ratings the client offers, as SM-2 quality grades (0-5). */
+export const RECALL_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 }
+
+/**
+ * SM-2: a grade below 3 restarts the repetitions at a one-day interval; otherwise the interval
+ * goes 1 day, 6 days, then grows by the ease factor, which itself moves with the grade.
+ */
+export function scheduleNext(item, quality, now = Date.now()) {
+    const q = Math.max(0, Math.min(5, Math.round(quality)))
+    let { repetitions, interval, ease } = item
+
+    if (q < 3) {
+        repetitions = 0
+        interval = 1
+    } else {
+        interval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * ease)
+        repetitions++
+    }
+    ease = Math.max(MIN_EASE, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)))
+
+    return {
+        ...item,
+        repetitions,
+        interval,
+        ease: Math.round(ease * 100) / 100,
+        due: now + interval * DAY,
+        lastReviewedAt: now,
+        history: [{ at: now, quality: q }, ...(item.history || [])].slice(0, HISTORY_LIMIT),
+    }
+}
+
+function newItem(slug, now) {
+    return {
+        slug,
+        enrolledAt: now,
+        // First review a day after the accepted submission.
+        due: now + DAY,
+        repetitions: 0,
+        interval: 0,
+        ease: INITIAL_EASE,
+        lastReviewedAt: null,
+        lastAcceptedAt: now,
+        history: [],
+    }
+}
+
+/**
+ * Review schedules per account: `{ items: { [titleSlug]: { due, repetitions, interval, ease, ... } } }`.
+ * Problems are enrolled by their first accepted submission and rescheduled by recall ratings.
+ */
+export function createReviewStore({ dir }) {
+    const store = createAccountStore({ dir })
+
+    async function itemsOf(owner) {
+        const doc = await store.get(owner)
+        return doc?.items && typeof doc.items === 'object' ? doc.items : {}
+    }
+
+    async function sortedItems(owner) {
+        return Object.values(await itemsOf(owner)).sort((a, b) => a.due - b.due)
+    }
+
+    async function updateItem(owner, slug, fn) {
+        let result = null
+        await store.update(owner, (doc) => {
+            const items = doc?.items && typeof doc.items === 'object' ? doc.items : {}
+            result = fn(items[slug] || null)
+            if (result === undefined) return doc
+            const next = { ...items }
+            if (result) next[slug] = result
+            else delete next[slug]
+            return { ...doc, items: next }
+        })
+        return result
+    }
+
+    return {
+        list: sortedItems,
+
+        /** Items due at or before `before`, most overdue first. */
+        async due(owner, before = Date.now()) {
+            return (await sortedItems(owner)).filter((item) => item.due <= before)
+        },
+
+        async get(owner, slug) {
+            return (await itemsOf(owner))[slug] || null
+        },
+
+        /** Enrols on an accepted submission; an enrolled problem only has its `lastAcceptedAt` updated. */
+        enrol(owner, slug, now = Date.now()) {
+            return updateItem(owner, slug, (item) => (item ? { ...item, lastAcceptedAt: now } : newItem(slug, now)))
+        },
+
+        /** Applies a recall rating (SM-2 quality 0-5); resolves to null when the problem is not enrolled. */
+        async rate(owner, slug, quality, now = Date.now()) {
+            return (await updateItem(owner, slug, (item) => (item ? scheduleNext(item, quality, now) : undefined))) ?? null
+        },
+
+        async remove(owner, slug) {
+            let removed = false
+            await updateItem(owner, slug, (item) => {
+                removed = Boolean(item)
+                return item ? null : undefined
+            })
+            return removed
+        },
+    }
+}
@@ -0,0 +1,153 @@
+// Child-process side of the local judge for JavaScript (and transpiled TypeScript).
+// Reads `{ code, fnName, params, outputParamIndex, cases }` as JSON on stdin and writes one JSON
+// line per event to fd 3, so whatever the solution prints cannot corrupt the protocol:
+//   { compile } | { case, ok: true, value, stdout, ms } | { case, ok: false, error, stdout }
+import fs from 'node:fs'
+import vm from 'node:vm'
+
+const RESULT_FD = 3
+const FILENAME = 'solution.js'
+// Serialising a cyclic list would never end.
+const MAX_NODES = 100000
+
+function ListNode(val, next) {
+    this.val = val === undefined ? 0 : val
+    this.next = next === undefined ? null : next
+}
+
+function TreeNode(val, left, right) {
+    this.val = val === undefined ? 0 : val
+    this.left = left === undefined ? null : left
+    this.right = right === undefined ? null : right
+}
+
+function send(event) {
+    fs.writeSync(RESULT_FD, `${JSON.stringify(event)}\n`)
+}
+
+function elementType(type) {
+    if (type.endsWith('[]')) return type.slice(0, -2)
+    const m = /^list<(.+)>$/.exec(type)
+    return m ? m[1] : null
+}
+
+function buildTree(values) {
+    if (!Array.isArray(values) || !values.length || values[0] == null) return null
+    const root = new TreeNode(values[0])
+    const queue = [root]
+    let i = 1
+    for (let head = 0; head < queue.length && i < values.length; head++) {
+        const node = queue[head]
+        if (i < values.length && values[i] != null) queue.push((node.left = new TreeNode(values[i])))
+        i++
+        if (i < values.length && values[i] != null) queue.push((node.right = new TreeNode(values[i])))
+        i++
+    }
+    return root
+}
+
+function treeToArray(root) {
+    const out = []
+    const queue = [root]
+    for (let head = 0; head < queue.length && out.length < MAX_NODES; head++) {
+        const node = queue[head]
+        if (!node) {
+            out.push(null)
+            continue
+        }
+        out.push(node.val)
+        queue.push(node.left ?? null, node.right ?? null)
+    }
+    while (out.length && out[out.length - 1] == null) out.pop()
+    return out
+}
+
+function listToArray(head) {
+    const out = []
+    for (let node = head; node && out.length < MAX_NODES; node = node.next) out.push(node.val)
+    return out
+}
+
+function toValue(type, raw) {
+    if (raw == null) return null
+    if (type === 'ListNode') {
+        let head = null
+        for (let i = raw.length - 1; i >= 0; i--) head = new ListNode(raw[i], head)
+        return head
+    }
+    if (type === 'TreeNode') return buildTree(raw)
+    const inner = elementType(type)
+    return inner && Array.isArray(raw) ? raw.map((x) => toValue(inner, x)) : raw
+}
+
+function fromValue(type, value) {
+    if (value == null) return null
+    if (type === 'ListNode') return listToArray(value)
+    if (type === 'TreeNode') return treeToArray(value)
+    const inner = elementType(type)
+    if (inner && value && typeof value[Symbol.iterator] === 'function' && typeof value !== 'string') {
+        return Array.from(value, (x) => fromValue(inner, x))
+    }
+    return value
+}
+
+// Keeps the frames that point into the solution, which is all the user can act on.
+function describeError(e) {
+    if (!(e instanceof Error)) return String(e)
+    const frames = String(e.stack || '')
+        .split('\n')
+        .slice(1)
+        .filter((line) => line.includes(FILENAME))
+    return [`${e.name}: ${e.message}`, ...frames].join('\n')
+}
+
+function syntaxErrorLine(e) {
+    const m = new RegExp(`${FILENAME.replace('.', '\\.')}:(\\d+)`).exec(String(e.stack || ''))
+    return m ? Number(m[1]) : null
+}
+
+let input = ''
+for await (const chunk of process.stdin) input += chunk
+const payload = JSON.parse(input)
+
+let solution
+try {
+    // Line numbers in errors match the editor: the wrapper's first line is offset away.
+    const source = `(function (ListNode, TreeNode) {\n${payload.code}\nreturn ${payload.fnName};\n})`
+    const script = new vm.Script(source, { filename: FILENAME, lineOffset: -1 })
+    solution = script.runInThisContext()(ListNode, TreeNode)
+} catch (e) {
+    const line = e instanceof SyntaxError ? syntaxErrorLine(e) : null
+    send({ compile: line != null ? `Line ${line}: ${e.name}: ${e.message}` : describeError(e) })
+    process.exit(0)
+}
+
+const printed = []
+const capture = (...args) => {
+    printed.push(args.map((a) => (typeof a === 'string' ? a : JSON.stringify(a) ?? String(a))).join(' '))
+}
+console.log = capture
+console.info = capture
+console.warn = capture
+console.error = capture
+console.debug = capture
+
+for (let i = 0; i < payload.cases.length; i++) {
+    printed.length = 0
+    const args = payload.cases[i].map((raw, j) => toValue(payload.params[j], raw))
+    const started = performance.now()
+    try {
+        let value = solution(...args)
+        const ms = performance.now() - started
+        let type = payload.returnType
+        // In-place problems (`void` with an output parameter) are judged on the mutated argument.
+        if (payload.outputParamIndex != null) {
+            value = args[payload.outputParamIndex]
+            type = payload.params[payload.outputParamIndex]
+        }
+        send({ case: i, ok: true, value: fromValue(type, value), stdout: printed.join('\n'), ms })
+    } catch (e) {
+        send({ case: i, ok: false, error: describeError(e), stdout: printed.join('\n') })
+        break
+    }
+}
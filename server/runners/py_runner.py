@@ -0,0 +1,242 @@
+# Child-process side of the local judge for Python 3.
+# Reads `{ code, fnName, params, outputParamIndex, cases, memoryLimit }` as JSON on stdin and writes
+# one JSON line per event to fd 3 (see jsRunner.mjs for the protocol).
+import contextlib
+import io
+import json
+import os
+import sys
+import sysconfig
+import time
+import traceback
+
+try:
+    import resource
+except ImportError:  # not available on Windows
+    resource = None
+
+RESULT_FD = 3
+FILENAME = "solution.py"
+MAX_NODES = 100000
+
+# What LeetCode's Python 3 environment has in scope before the solution runs.
+PRELUDE = """
+from typing import *
+from collections import *
+from heapq import *
+from bisect import *
+from functools import *
+from itertools import *
+from math import *
+import collections, heapq, bisect, functools, itertools, math, string, re, random, operator
+"""
+
+
+class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next
+
+
+class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right
+
+
+out = os.fdopen(RESULT_FD, "w")
+
+
+def send(event):
+    out.write(json.dumps(event) + "\n")
+    out.flush()
+
+
+def element_type(t):
+    if t.endswith("[]"):
+        return t[:-2]
+    if t.startswith("list<") and t.endswith(">"):
+        return t[5:-1]
+    return None
+
+
+def build_tree(values):
+    if not values or values[0] is None:
+        return None
+    root = TreeNode(values[0])
+    queue = [root]
+    i = 1
+    head = 0
+    while head < len(queue) and i < len(values):
+        node = queue[head]
+        head += 1
+        if i < len(values) and values[i] is not None:
+            node.left = TreeNode(values[i])
+            queue.append(node.left)
+        i += 1
+        if i < len(values) and values[i] is not None:
+            node.right = TreeNode(values[i])
+            queue.append(node.right)
+        i += 1
+    return root
+
+
+def tree_to_list(root):
+    result = []
+    queue = [root]
+    head = 0
+    while head < len(queue) and len(result) < MAX_NODES:
+        node = queue[head]
+        head += 1
+        if node is None:
+            result.append(None)
+            continue
+        result.append(node.val)
+        queue.append(node.left)
+        queue.append(node.right)
+    while result and result[-1] is None:
+        result.pop()
+    return result
+
+
+def list_to_array(head):
+    result = []
+    while head is not None and len(result) < MAX_NODES:
+        result.append(head.val)
+        head = head.next
+    return result
+
+
+def to_value(t, raw):
+    if raw is None:
+        return None
+    if t == "ListNode":
+        head = None
+        for v in reversed(raw):
+            head = ListNode(v, head)
+        return head
+    if t == "TreeNode":
+        return build_tree(raw)
+    inner = element_type(t)
+    if inner and isinstance(raw, list):
+        return [to_value(inner, x) for x in raw]
+    return raw
+
+
+def from_value(t, value):
+    if value is None:
+        return None
+    if t == "ListNode":
+        return list_to_array(value)
+    if t == "TreeNode":
+        return tree_to_list(value)
+    inner = element_type(t)
+    if inner and isinstance(value, (list, tuple, set, frozenset)):
+        return [from_value(inner, x) for x in value]
+    return value
+
+
+def describe_error(e):
+    # Keep only the frames inside the solution.
+    frames = [f for f in traceback.extract_tb(e.__traceback__) if f.filename == FILENAME]
+    lines = ["%s: %s" % (type(e).__name__, e)]
+    lines += ["Line %d in %s (Solution.py)" % (f.lineno, f.name) for f in frames]
+    return "\n".join(lines)
+
+
+# Audit events the solution has no business raising; any of them aborts the call.
+BLOCKED_EVENTS = {
+    "os.system", "os.exec", "os.fork", "os.forkpty", "os.posix_spawn", "os.spawn", "os.kill",
+    "os.remove", "os.rmdir", "os.rename", "os.mkdir", "os.chmod", "os.truncate", "shutil.rmtree",
+    "subprocess.Popen", "socket.connect", "socket.bind", "ctypes.dlopen",
+}
+
+
+# Reading is limited to the Python installation (lazy imports) and the run's own temp directory, so a
+# solution cannot read the server's data directory (session key, stored cookies) or anything else.
+READABLE_ROOTS = tuple(
+    {os.path.realpath(p) for p in (sys.prefix, sys.base_prefix, sys.exec_prefix, sys.base_exec_prefix,
+                                   *sysconfig.get_paths().values(), os.getcwd()) if p}
+)
+
+
+def readable(path):
+    real = os.path.realpath(path)
+    return any(real == root or real.startswith(root.rstrip(os.sep) + os.sep) for root in READABLE_ROOTS)
+
+
+def audit(event, args):
+    if event in BLOCKED_EVENTS:
+        raise PermissionError("%s is not allowed" % event)
+    if event != "open":
+        return
+    # open() passes a mode string, os.open() the flags.
+    path, mode, flags = (list(args) + [None, None])[:3]
+    writing = os.O_WRONLY | os.O_RDWR | os.O_CREAT | os.O_TRUNC | os.O_APPEND
+    if (isinstance(mode, str) and any(c in mode for c in "wax+")) or (isinstance(flags, int) and flags & writing):
+        raise PermissionError("writing files is not allowed")
+    # Integers are already open descriptors (the result pipe).
+    if isinstance(path, (str, bytes, os.PathLike)) and not readable(os.fsdecode(path)):
+        raise PermissionError("reading %s is not allowed" % os.fsdecode(path))
+
+
+def limit_resources(memory_limit):
+    if resource is None:
+        return
+    for name, value in (("RLIMIT_AS", memory_limit), ("RLIMIT_FSIZE", 0), ("RLIMIT_NPROC", 0)):
+        limit = getattr(resource, name, None)
+        if limit is None or value is None:
+            continue
+        try:
+            resource.setrlimit(limit, (value, value))
+        except (ValueError, OSError):
+            pass
+
+
+def main():
+    payload = json.loads(sys.stdin.read())
+    sys.setrecursionlimit(10000)
+
+    scope = {"ListNode": ListNode, "TreeNode": TreeNode, "__name__": "solution"}
+    exec(PRELUDE, scope)
+    try:
+        code = compile(payload["code"], FILENAME, "exec")
+    except SyntaxError as e:
+        send({"compile": "Line %s: %s: %s" % (e.lineno, type(e).__name__, e.msg)})
+        return
+
+    limit_resources(payload.get("memoryLimit"))
+    sys.addaudithook(audit)
+
+    try:
+        exec(code, scope)
+        method = getattr(scope["Solution"](), payload["fnName"])
+    except Exception as e:  # noqa: BLE001 - report anything the solution raises
+        send({"compile": describe_error(e)})
+        return
+
+    params = payload["params"]
+    for i, raw_args in enumerate(payload["cases"]):
+        args = [to_value(params[j], raw) for j, raw in enumerate(raw_args)]
+        printed = io.StringIO()
+        started = time.perf_counter()
+        try:
+            with contextlib.redirect_stdout(printed):
+                value = method(*args)
+            ms = (time.perf_counter() - started) * 1000
+            t = payload.get("returnType")
+            index = payload.get("outputParamIndex")
+            if index is not None:
+                value = args[index]
+                t = params[index]
+            send({"case": i, "ok": True, "value": from_value(t, value), "stdout": printed.getvalue().rstrip("\n"), "ms": ms})
+        except MemoryError:
+            send({"case": i, "ok": False, "error": "MemoryError", "memory": True, "stdout": printed.getvalue()})
+            break
+        except Exception as e:  # noqa: BLE001
+            send({"case": i, "ok": False, "error": describe_error(e), "stdout": printed.getvalue().rstrip("\n")})
+            break
+
+
+main()
@@ -0,0 +1,151 @@
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { loadOrCreateKey } from './sessionStore.mjs'
+
+/**
+ * Guards in front of the local API, which holds raw LeetCode cookies:
+ *   - host guard: `Host` and `Origin` must name an allowed host (defeats DNS rebinding and cross-site pages)
+ *   - CSRF guard: state-changing requests repeat the `lc_csrf` cookie in the `x-csrf-token` header
+ *   - access guard: with a password configured, every route needs the `lc_access` cookie first
+ * Failures answer `{ error: CODE }` like the rest of the API.
+ */
+
+export const CSRF_COOKIE = 'lc_csrf'
+export const CSRF_HEADER = 'x-csrf-token'
+export const ACCESS_COOKIE = 'lc_access'
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS'])
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1']
+const ACCESS_MAX_FAILURES = 5
+const ACCESS_LOCKOUT = 1000 * 60 * 5
+
+function safeEqual(a, b) {
+    const x = Buffer.from(String(a || ''))
+    const y = Buffer.from(String(b || ''))
+    return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y)
+}
+
+// `Host` / `Origin` host part without port or IPv6 brackets, lower-cased; null when unparseable.
+function hostnameOf(value, { origin = false } = {}) {
+    try {
+        const url = new URL(origin ? value : `http://${value}`)
+        return url.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+    } catch {
+        return null
+    }
+}
+
+export function isLoopbackHost(host) {
+    const name = String(host || '').toLowerCase()
+    return LOOPBACK_HOSTS.includes(name) || name.startsWith('127.')
+}
+
+// Names other machines on the LAN may reach this one by: its hostname and interface addresses.
+export function localAddresses() {
+    const out = [os.hostname().toLowerCase()]
+    for (const list of Object.values(os.networkInterfaces())) {
+        for (const entry of list || []) out.push(entry.address.toLowerCase())
+    }
+    return out
+}
+
+/** Rejects requests whose `Host` or `Origin` is not in `allowedHosts` (loopback names are always allowed). */
+export function createHostGuard({ allowedHosts = [] }) {
+    const allowed = new Set([...LOOPBACK_HOSTS, ...allowedHosts.map((h) => h.toLowerCase())])
+    const isAllowed = (name) => name != null && (allowed.has(name) || isLoopbackHost(name))
+
+    return (req, res, next) => {
+        if (!isAllowed(hostnameOf(req.headers.host))) return res.status(403).json({ error: 'HOST_FORBIDDEN' })
+        // Browsers send Origin on cross-origin requests and on every POST; CLI clients send none.
+        const origin = req.headers.origin
+        if (origin !== undefined && !isAllowed(hostnameOf(origin, { origin: true }))) {
+            return res.status(403).json({ error: 'ORIGIN_FORBIDDEN' })
+        }
+        next()
+    }
+}
+
+/**
+ * Double-submit CSRF protection. Every response without the token cookie gets a fresh one; requests other
+ * than GET/HEAD/OPTIONS must echo it in the header. A page on another site can neither read the cookie nor
+ * set the header, so it cannot submit code or change state on the user's behalf.
+ */
+export function createCsrfGuard() {
+    return (req, res, next) => {
+        if (!req.cookies[CSRF_COOKIE]) {
+            res.cookie(CSRF_COOKIE, crypto.randomBytes(24).toString('base64url'), {
+                sameSite: 'strict',
+                secure: req.secure,
+                path: '/',
+            })
+        }
+        if (SAFE_METHODS.has(req.method)) return next()
+        if (!safeEqual(req.cookies[CSRF_COOKIE], req.get(CSRF_HEADER))) {
+            return res.status(403).json({ error: 'CSRF_INVALID' })
+        }
+        next()
+    }
+}
+
+/**
+ * Optional password for shared machines. Without `password` everything is open. The access cookie carries
+ * an HMAC of the password, so it survives restarts and changing the password signs every browser out.
+ * Repeated wrong guesses from one address are locked out for a while.
+ */
+export function createAccessGuard({ password, keyFile, maxAge }) {
+    const enabled = Boolean(password)
+    let token = null
+    if (enabled) {
+        fs.mkdirSync(path.dirname(keyFile), { recursive: true })
+        token = crypto.createHmac('sha256', loadOrCreateKey(keyFile)).update(password).digest('base64url')
+    }
+    const failures = new Map()
+
+    function isUnlocked(req) {
+        return !enabled || safeEqual(req.cookies[ACCESS_COOKIE], token)
+    }
+
+    return {
+        enabled,
+        isUnlocked,
+
+        /** Middleware: requests outside `openPaths` need the access cookie. */
+        require(openPaths) {
+            return (req, res, next) => {
+                if (isUnlocked(req) || openPaths.includes(req.path)) return next()
+                res.status(401).json({ error: 'ACCESS_REQUIRED' })
+            }
+        },
+
+        /** Checks `attempt` and sets the access cookie; failures come back as `{ ok: false, status, error }`. */
+        unlock(req, res, attempt) {
+            if (!enabled) return { ok: true }
+            const now = Date.now()
+            const entry = failures.get(req.ip)
+            if (entry && entry.until > now) {
+                const retryAfter = Math.ceil((entry.until - now) / 1000)
+                return { ok: false, status: 429, error: 'ACCESS_THROTTLED', retryAfter }
+            }
+            if (!safeEqual(attempt, password)) {
+                const count = (entry && entry.until === 0 ? entry.count : 0) + 1
+                failures.set(req.ip, { count, until: count >= ACCESS_MAX_FAILURES ? now + ACCESS_LOCKOUT : 0 })
+                return { ok: false, status: 401, error: 'ACCESS_DENIED' }
+            }
+            failures.delete(req.ip)
+            res.cookie(ACCESS_COOKIE, token, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: req.secure,
+                path: '/',
+                maxAge,
+            })
+            return { ok: true }
+        },
+
+        lock(res) {
+            res.clearCookie(ACCESS_COOKIE, { path: '/' })
+        },
+    }
+}
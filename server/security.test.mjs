@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, test } from 'node:test'
+import {
+    ACCESS_COOKIE,
+    CSRF_COOKIE,
+    CSRF_HEADER,
+    createAccessGuard,
+    createCsrfGuard,
+    createHostGuard,
+    isLoopbackHost,
+} from './security.mjs'
+
+function fakeRequest({ method = 'GET', path: reqPath = '/', headers = {}, cookies = {}, ip = '127.0.0.1' } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]))
+    return { method, path: reqPath, headers: lower, cookies, ip, secure: false, get: (name) => lower[name.toLowerCase()] }
+}
+
+function fakeResponse() {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        cookies: {},
+        status(code) {
+            res.statusCode = code
+            return res
+        },
+        json(body) {
+            res.body = body
+            return res
+        },
+        cookie(name, value) {
+            res.cookies[name] = value
+            return res
+        },
+        clearCookie(name) {
+            res.cookies[name] = null
+            return res
+        },
+    }
+    return res
+}
+
+// Runs a middleware and reports whether it passed the request on.
+function run(middleware, req) {
+    const res = fakeResponse()
+    let passed = false
+    middleware(req, res, () => {
+        passed = true
+    })
+    return { passed, res }
+}
+
+describe('isLoopbackHost', () => {
+    test('knows loopback names and addresses', () => {
+        for (const host of ['localhost', 'LOCALHOST', '127.0.0.1', '127.1.2.3', '::1']) assert.ok(isLoopbackHost(host), host)
+        for (const host of ['192.168.1.2', 'example.com', '', undefined]) assert.ok(!isLoopbackHost(host), String(host))
+    })
+})
+
+describe('createHostGuard', () => {
+    const guard = createHostGuard({ allowedHosts: ['Box.Local'] })
+
+    test('allows loopback and listed hosts, with or without a port', () => {
+        for (const host of ['localhost:5173', '127.0.0.1:8787', '[::1]:8787', 'box.local']) {
+            assert.ok(run(guard, fakeRequest({ headers: { host } })).passed, host)
+        }
+    })
+
+    test('refuses other hosts (DNS rebinding)', () => {
+        const { passed, res } = run(guard, fakeRequest({ headers: { host: 'attacker.example:8787' } }))
+        assert.ok(!passed)
+        assert.equal(res.statusCode, 403)
+        assert.deepEqual(res.body, { error: 'HOST_FORBIDDEN' })
+    })
+
+    test('refuses foreign origins but lets requests without one through', () => {
+        const foreign = run(guard, fakeRequest({ headers: { host: 'localhost', origin: 'https://evil.example' } }))
+        assert.ok(!foreign.passed)
+        assert.deepEqual(foreign.res.body, { error: 'ORIGIN_FORBIDDEN' })
+        assert.ok(run(guard, fakeRequest({ headers: { host: 'localhost', origin: 'http://localhost:5173' } })).passed)
+        assert.ok(run(guard, fakeRequest({ headers: { host: 'localhost' } })).passed)
+    })
+})
+
+describe('createCsrfGuard', () => {
+    const guard = createCsrfGuard()
+
+    test('issues a token cookie and lets safe methods through', () => {
+        const { passed, res } = run(guard, fakeRequest())
+        assert.ok(passed)
+        assert.ok(res.cookies[CSRF_COOKIE])
+    })
+
+    test('requires the cookie to be echoed in the header on state-changing requests', () => {
+        const cookies = { [CSRF_COOKIE]: 'token-1234' }
+        const missing = run(guard, fakeRequest({ method: 'POST', cookies }))
+        assert.ok(!missing.passed)
+        assert.equal(missing.res.statusCode, 403)
+        assert.deepEqual(missing.res.body, { error: 'CSRF_INVALID' })
+
+        const wrong = run(guard, fakeRequest({ method: 'POST', cookies, headers: { [CSRF_HEADER]: 'token-9999' } }))
+        assert.ok(!wrong.passed)
+
+        const right = run(guard, fakeRequest({ method: 'DELETE', cookies, headers: { [CSRF_HEADER]: 'token-1234' } }))
+        assert.ok(right.passed)
+    })
+
+    test('refuses a request with neither cookie nor header', () => {
+        assert.ok(!run(guard, fakeRequest({ method: 'POST' })).passed)
+    })
+})
+
+describe('createAccessGuard', () => {
+    let tmp
+
+    before(async () => {
+        tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'leetlite-security-test-'))
+    })
+
+    after(async () => {
+        await fs.rm(tmp, { recursive: true, force: true })
+    })
+
+    test('is open without a password', () => {
+        const access = createAccessGuard({ password: '', keyFile: path.join(tmp, 'none.key'), maxAge: 1000 })
+        assert.equal(access.enabled, false)
+        assert.ok(run(access.require([]), fakeRequest({ path: '/problems' })).passed)
+    })
+
+    test('requires the access cookie outside the open paths', () => {
+        const access = createAccessGuard({ password: 'secret', keyFile: path.join(tmp, 'require.key'), maxAge: 1000 })
+        const middleware = access.require(['/health'])
+        const locked = run(middleware, fakeRequest({ path: '/problems' }))
+        assert.ok(!locked.passed)
+        assert.equal(locked.res.statusCode, 401)
+        assert.deepEqual(locked.res.body, { error: 'ACCESS_REQUIRED' })
+        assert.ok(run(middleware, fakeRequest({ path: '/health' })).passed)
+    })
+
+    test('unlocks with the right password and signs the cookie', () => {
+        const keyFile = path.join(tmp, 'unlock.key')
+        const access = createAccessGuard({ password: 'secret', keyFile, maxAge: 1000 })
+        const res = fakeResponse()
+        assert.deepEqual(access.unlock(fakeRequest(), res, 'secret'), { ok: true })
+        const cookie = res.cookies[ACCESS_COOKIE]
+        assert.ok(cookie && cookie !== 'secret')
+        assert.ok(run(access.require([]), fakeRequest({ cookies: { [ACCESS_COOKIE]: cookie } })).passed)
+
+        // Another guard with the same key and password accepts the cookie (it survives restarts) ...
+        const restarted = createAccessGuard({ password: 'secret', keyFile, maxAge: 1000 })
+        assert.ok(restarted.isUnlocked(fakeRequest({ cookies: { [ACCESS_COOKIE]: cookie } })))
+        // ... and a new password signs it out.
+        const changed = createAccessGuard({ password: 'other', keyFile, maxAge: 1000 })
+        assert.ok(!changed.isUnlocked(fakeRequest({ cookies: { [ACCESS_COOKIE]: cookie } })))
+    })
+
+    test('locks out an address after repeated wrong passwords, without locking out others', () => {
+        const access = createAccessGuard({ password: 'secret', keyFile: path.join(tmp, 'lockout.key'), maxAge: 1000 })
+        const attacker = fakeRequest({ ip: '10.0.0.1' })
+        for (let i = 0; i < 5; i++) {
+            assert.deepEqual(access.unlock(attacker, fakeResponse(), 'guess'), { ok: false, status: 401, error: 'ACCESS_DENIED' })
+        }
+        const throttled = access.unlock(attacker, fakeResponse(), 'secret')
+        assert.equal(throttled.status, 429)
+        assert.equal(throttled.error, 'ACCESS_THROTTLED')
+        assert.ok(throttled.retryAfter > 0)
+
+        assert.deepEqual(access.unlock(fakeRequest({ ip: '10.0.0.2' }), fakeResponse(), 'secret'), { ok: true })
+    })
+
+    test('forgets earlier failures after a successful unlock', () => {
+        const access = createAccessGuard({ password: 'secret', keyFile: path.join(tmp, 'reset.key'), maxAge: 1000 })
+        const req = fakeRequest({ ip: '10.0.0.3' })
+        for (let i = 0; i < 4; i++) access.unlock(req, fakeResponse(), 'guess')
+        assert.deepEqual(access.unlock(req, fakeResponse(), 'secret'), { ok: true })
+        for (let i = 0; i < 4; i++) access.unlock(req, fakeResponse(), 'guess')
+        assert.deepEqual(access.unlock(req, fakeResponse(), 'secret'), { ok: true })
+    })
+})
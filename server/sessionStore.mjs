@@ -0,0 +1,170 @@
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+
+/**
+ * Session stores share a tiny synchronous interface so the request handlers stay simple:
+ *   get(sid) -> session | null
+ *   set(sid, session) -> void
+ *   delete(sid) -> void
+ *   prune() -> void      drops expired entries
+ *
+ * Entries expire `maxAge` ms after they were first stored, matching the `lc_sid` cookie lifetime.
+ * Calling set() again for an existing sid saves changes without extending the expiry.
+ */
+
+// Fields that carry LeetCode credentials and must never hit the disk in clear text.
+// `accounts` holds the cookies of every linked site.
+const SECRET_FIELDS = ['cookie', 'csrftoken', 'accounts']
+
+export function createMemorySessionStore({ maxAge }) {
+    const entries = new Map()
+
+    return {
+        get(sid) {
+            const entry = entries.get(sid)
+            if (!entry) return null
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(sid)
+                return null
+            }
+            return entry.session
+        },
+        set(sid, session) {
+            const expiresAt = entries.get(sid)?.expiresAt ?? Date.now() + maxAge
+            entries.set(sid, { session, expiresAt })
+        },
+        delete(sid) {
+            entries.delete(sid)
+        },
+        prune() {
+            const now = Date.now()
+            for (const [sid, entry] of entries) {
+                if (entry.expiresAt <= now) entries.delete(sid)
+            }
+        },
+    }
+}
+
+/** Reads a base64 32-byte key, generating (and storing, owner-only) a new one when missing or malformed. */
+export function loadOrCreateKey(keyFile) {
+    try {
+        const key = Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64')
+        if (key.length === 32) return key
+    } catch {
+        // fall through and generate a new key
+    }
+
+    const key = crypto.randomBytes(32)
+    fs.writeFileSync(keyFile, key.toString('base64'), { mode: 0o600 })
+    return key
+}
+
+function encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    }
+}
+
+function decrypt(key, box) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'))
+    return Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]).toString('utf8')
+}
+
+/**
+ * File-backed store: a JSON file with every session, credentials sealed with AES-256-GCM.
+ * The key lives next to the data file and is generated on first start.
+ */
+export function createFileSessionStore({ dir, maxAge }) {
+    fs.mkdirSync(dir, { recursive: true })
+    const file = path.join(dir, 'sessions.json')
+    const key = loadOrCreateKey(path.join(dir, 'session.key'))
+    const entries = new Map()
+
+    function seal(session) {
+        const plain = { ...session }
+        const secrets = {}
+        for (const field of SECRET_FIELDS) {
+            if (plain[field] != null) secrets[field] = plain[field]
+            delete plain[field]
+        }
+        return { ...plain, secrets: encrypt(key, JSON.stringify(secrets)) }
+    }
+
+    function unseal(stored) {
+        const { secrets, ...session } = stored
+        return { ...session, ...JSON.parse(decrypt(key, secrets)) }
+    }
+
+    function persist() {
+        const out = {}
+        for (const [sid, entry] of entries) {
+            out[sid] = { expiresAt: entry.expiresAt, session: seal(entry.session) }
+        }
+
+        const tmp = `${file}.tmp`
+        fs.writeFileSync(tmp, JSON.stringify(out), { mode: 0o600 })
+        fs.renameSync(tmp, file)
+    }
+
+    function load() {
+        let raw
+        try {
+            raw = JSON.parse(fs.readFileSync(file, 'utf8'))
+        } catch {
+            return
+        }
+
+        const now = Date.now()
+        for (const [sid, entry] of Object.entries(raw || {})) {
+            if (!entry || !(entry.expiresAt > now)) continue
+            try {
+                entries.set(sid, { session: unseal(entry.session), expiresAt: entry.expiresAt })
+            } catch {
+                // Undecryptable entry (e.g. the key file was replaced): drop it.
+            }
+        }
+    }
+
+    function prune() {
+        const now = Date.now()
+        let changed = false
+        for (const [sid, entry] of entries) {
+            if (entry.expiresAt <= now) {
+                entries.delete(sid)
+                changed = true
+            }
+        }
+        if (changed) persist()
+    }
+
+    load()
+    persist()
+
+    return {
+        get(sid) {
+            const entry = entries.get(sid)
+            if (!entry) return null
+            if (entry.expiresAt <= Date.now()) {
+                prune()
+                return null
+            }
+            return entry.session
+        },
+        set(sid, session) {
+            const expiresAt = entries.get(sid)?.expiresAt ?? Date.now() + maxAge
+            entries.set(sid, { session, expiresAt })
+            persist()
+        },
+        delete(sid) {
+            if (entries.delete(sid)) persist()
+        },
+        prune,
+    }
+}
@@ -0,0 +1,456 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+const MANIFEST = '.leetlite-export.json'
+const MANIFEST_VERSION = 1
+const PAGE_SIZE = 20
+// Older accepted submissions in languages not seen on these pages are not looked for.
+const MAX_PAGES = 10
+const ACCEPTED = new Set(['Accepted', '通过'])
+
+// One file per language; languages sharing an extension get a qualified name.
+const SOLUTION_FILES = {
+    c: 'solution.c',
+    cpp: 'solution.cpp',
+    csharp: 'solution.cs',
+    java: 'solution.java',
+    javascript: 'solution.js',
+    typescript: 'solution.ts',
+    python3: 'solution.py',
+    python: 'solution.python2.py',
+    pythondata: 'solution.pandas.py',
+    golang: 'solution.go',
+    kotlin: 'solution.kt',
+    rust: 'solution.rs',
+    php: 'solution.php',
+    ruby: 'solution.rb',
+    swift: 'solution.swift',
+    scala: 'solution.scala',
+    dart: 'solution.dart',
+    elixir: 'solution.ex',
+    erlang: 'solution.erl',
+    racket: 'solution.rkt',
+    cangjie: 'solution.cj',
+    bash: 'solution.sh',
+    mysql: 'solution.mysql.sql',
+    mssql: 'solution.mssql.sql',
+    oraclesql: 'solution.oracle.sql',
+    postgresql: 'solution.postgresql.sql',
+}
+
+/** `solution.py` for python3; `base` replaces the `solution` stem (the CLI names files after the problem). */
+export function solutionFileFor(lang, base = 'solution') {
+    const slug = String(lang || '').toLowerCase()
+    const file = SOLUTION_FILES[slug] || `solution.${slug.replace(/[^a-z0-9]+/g, '') || 'unknown'}.txt`
+    return base + file.slice('solution'.length)
+}
+
+/** Reverse of solutionFileFor: `two-sum.py` -> `{ base: 'two-sum', lang: 'python3' }`, or null. */
+export function parseSolutionFile(name) {
+    let best = null
+    for (const [lang, file] of Object.entries(SOLUTION_FILES)) {
+        const suffix = file.slice('solution'.length)
+        if (name.length > suffix.length && name.endsWith(suffix) && suffix.length > (best?.suffix.length ?? 0)) {
+            best = { lang, suffix }
+        }
+    }
+    return best ? { base: name.slice(0, -best.suffix.length), lang: best.lang } : null
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+        .replace(/&amp;/g, '&')
+}
+
+function attr(attrs, name) {
+    const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'))
+    return match ? decodeEntities(match[2] ?? match[3] ?? '') : ''
+}
+
+function safeUrl(url) {
+    return /^https?:\/\//i.test(url) ? url.replace(/[()\s]/g, encodeURIComponent) : null
+}
+
+/**
+ * Converts statement HTML to Markdown. Only the formatting LeetCode uses survives (paragraphs, code,
+ * emphasis, lists, sup/sub, http(s) links and images); every other tag is dropped, so no raw HTML
+ * from upstream ends up in the repository.
+ */
+export function htmlToMarkdown(html) {
+    let out = ''
+    let pre = 0
+    let code = 0
+    let link = null
+    let skipping = null
+    const lists = []
+
+    const tokens = String(html || '').matchAll(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|<!--[\s\S]*?-->|([^<]+|<)/g)
+    for (const [, closing, rawTag, attrs = '', text] of tokens) {
+        if (skipping) {
+            if (closing && rawTag?.toLowerCase() === skipping) skipping = null
+            continue
+        }
+        if (text != null) {
+            const decoded = decodeEntities(text)
+            if (pre) out += decoded
+            else if (code) out += decoded.replace(/`/g, "'")
+            else out += decoded.replace(/\s+/g, ' ').replace(/([\\*_`<])/g, '\\$1')
+            continue
+        }
+        if (!rawTag) continue
+
+        const tag = rawTag.toLowerCase()
+        const open = !closing
+        switch (tag) {
+            case 'script':
+            case 'style':
+                if (open) skipping = tag
+                break
+            case 'pre':
+                if (open && pre++ === 0) out += '\n\n```\n'
+                else if (!open && pre > 0 && --pre === 0) out = `${out.replace(/\n+$/, '')}\n\`\`\`\n\n`
+                break
+            case 'code':
+                if (pre) break
+                if (open && code++ === 0) out += '`'
+                else if (!open && code > 0 && --code === 0) out += '`'
+                break
+            case 'strong':
+            case 'b':
+                if (!pre) out += '**'
+                break
+            case 'em':
+            case 'i':
+                if (!pre) out += '*'
+                break
+            case 'sup':
+                if (open) out += '^'
+                break
+            case 'sub':
+                if (open) out += '_'
+                break
+            case 'br':
+                out += pre ? '\n' : '  \n'
+                break
+            case 'p':
+            case 'div':
+                out += '\n\n'
+                break
+            case 'ul':
+            case 'ol':
+                if (open) lists.push({ ordered: tag === 'ol', index: 0 })
+                else lists.pop()
+                out += lists.length ? '\n' : '\n\n'
+                break
+            case 'li':
+                if (open) {
+                    const list = lists[lists.length - 1]
+                    const indent = '  '.repeat(Math.max(0, lists.length - 1))
+                    out += `\n${indent}${list?.ordered ? `${++list.index}.` : '-'} `
+                }
+                break
+            case 'a':
+                if (open) {
+                    link = safeUrl(attr(attrs, 'href'))
+                    if (link) out += '['
+                } else if (link) {
+                    out += `](${link})`
+                    link = null
+                }
+                break
+            case 'img': {
+                const src = safeUrl(attr(attrs, 'src'))
+                if (src) out += `![${attr(attrs, 'alt').replace(/[[\]]/g, '')}](${src})`
+                break
+            }
+            default:
+                break
+        }
+    }
+
+    return out
+        .split('\n')
+        .map((line) => line.replace(/[ \t]+$/g, (m) => (m === '  ' ? m : '')))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+}
+
+function difficultyBadge(difficulty) {
+    return { Easy: '🟢 Easy', Medium: '🟡 Medium', Hard: '🔴 Hard' }[difficulty] || difficulty || ''
+}
+
+function problemUrl(domain, slug) {
+    return `https://${domain}/problems/${slug}/`
+}
+
+/** README for one problem folder: title, difficulty, tags, the statement and the exported solutions. */
+export function renderProblemReadme(question, { domain, statementLang = 'en', solutions = [] }) {
+    const useZh = statementLang !== 'en' && (question.translated_title || question.translated_content)
+    const title = useZh ? question.translated_title || question.title : question.title
+    const tags = (question.topic_tags || []).map((t) => (useZh && t.translated_name) || t.name)
+
+    const lines = [
+        `# ${question.frontend_id}. ${title}`,
+        '',
+        `- Difficulty: ${difficultyBadge(question.difficulty)}`,
+        ...(tags.length ? [`- Tags: ${tags.map((t) => `\`${t}\``).join(' ')}`] : []),
+        `- Link: ${problemUrl(domain, question.title_slug)}`,
+        '',
+    ]
+
+    const original = htmlToMarkdown(question.content)
+    const translated = htmlToMarkdown(question.translated_content)
+    if (statementLang === 'both' && original && translated) {
+        lines.push('## Description', '', original, '', '## 题目描述', '', translated, '')
+    } else {
+        const body = (statementLang !== 'en' && translated) || original || translated
+        if (body) lines.push('## Description', '', body, '')
+        else if (question.is_paid_only) lines.push('_Premium problem; the statement is not available._', '')
+    }
+
+    if (solutions.length) {
+        lines.push('## Solutions', '')
+        for (const s of solutions) lines.push(`- [${s.langName || s.lang}](./${s.file})`)
+        lines.push('')
+    }
+    return lines.join('\n')
+}
+
+function compareFrontendId(a, b) {
+    const na = Number(a.frontendId)
+    const nb = Number(b.frontendId)
+    if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb
+    return String(a.frontendId).localeCompare(String(b.frontendId))
+}
+
+function escapeCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|')
+}
+
+/** Top-level README: one table row per exported problem, by frontend id. */
+export function renderIndex(problems, { domain, user }) {
+    const rows = [...problems].sort(compareFrontendId).map((p) => {
+        const folder = encodeURI(p.folder)
+        const solutions = Object.values(p.langs)
+            .sort((a, b) => a.lang.localeCompare(b.lang))
+            .map((l) => `[${escapeCell(l.langName || l.lang)}](./${folder}/${l.file})`)
+            .join(' ')
+        return `| ${escapeCell(p.frontendId)} | [${escapeCell(p.title)}](./${folder}/README.md) | ${difficultyBadge(p.difficulty)} | ${escapeCell(p.tags.join(', '))} | ${solutions} |`
+    })
+    return [
+        '# LeetCode solutions',
+        '',
+        `Accepted solutions of ${user} on ${domain}, ${problems.length} problem(s).`,
+        '',
+        '| # | Title | Difficulty | Tags | Solutions |',
+        '| --- | --- | --- | --- | --- |',
+        ...rows,
+        '',
+    ].join('\n')
+}
+
+export function folderFor(frontendId, slug) {
+    return `${String(frontendId).replace(/[^\w.-]+/g, '_')}-${slug}`
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'))
+    } catch {
+        return null
+    }
+}
+
+async function readText(file) {
+    try {
+        return await fs.readFile(file, 'utf8')
+    } catch {
+        return null
+    }
+}
+
+export class ExportDirError extends Error {
+    constructor(code, status, message) {
+        super(message || code)
+        this.name = 'ExportDirError'
+        this.code = code
+        this.status = status
+    }
+}
+
+/** `requested` resolved against `base`; null when it falls outside every one of `roots`. */
+export function resolveExportDir(requested, { base, roots }) {
+    const dir = path.resolve(base, requested || '.')
+    return roots.some((root) => dir === root || dir.startsWith(root + path.sep)) ? dir : null
+}
+
+/**
+ * Refuses directories an export would clobber: a run rewrites README.md and removes folders of renamed
+ * problems, so it only goes into a missing or empty directory, or one holding a previous export's manifest.
+ */
+export async function assertExportDir(dir) {
+    let names
+    try {
+        names = await fs.readdir(dir)
+    } catch (e) {
+        if (e.code === 'ENOENT') return
+        throw new ExportDirError('EXPORT_DIR_INVALID', 400, `Cannot read ${dir}: ${e.code || e.message}`)
+    }
+    if (names.length && !names.includes(MANIFEST)) {
+        throw new ExportDirError('EXPORT_DIR_NOT_EMPTY', 409, `${dir} is not empty and holds no ${MANIFEST}.`)
+    }
+}
+
+// Folders named by the manifest stay inside the export; anything else is never removed.
+function isInside(dir, relative) {
+    const target = path.resolve(dir, String(relative || ''))
+    return target.startsWith(path.resolve(dir) + path.sep)
+}
+
+class UpstreamFailure extends Error {
+    constructor(resp) {
+        super(resp.error || 'UPSTREAM_ERROR')
+        this.code = resp.error || 'UPSTREAM_ERROR'
+    }
+}
+
+/**
+ * Writes accepted solutions of `slugs` into `dir`: one `<frontend_id>-<title_slug>/` folder with a
+ * solution file per language and a README, plus a top-level README index. A manifest in `dir`
+ * remembers the newest submission seen per problem, so re-runs only fetch and write what changed.
+ *
+ * `lc` supplies the upstream calls as result objects:
+ *   listSubmissions(slug, { offset, lastKey }) -> { ok, data: { submissions, hasNext, lastKey } }
+ *   submissionDetail(id) -> { ok, data: { code, lang, lang_name } }
+ *   question(slug) -> { ok, question }
+ * `job` (optional) receives progress: total, done, failed, written, unchanged.
+ */
+export async function exportSolutions({ dir, slugs, lc, domain, user, statementLang = 'en', job = {} }) {
+    await assertExportDir(dir)
+    await fs.mkdir(dir, { recursive: true })
+    const manifestFile = path.join(dir, MANIFEST)
+    const stored = await readJson(manifestFile)
+    const manifest =
+        stored?.version === MANIFEST_VERSION && stored.domain === domain && stored.user === user
+            ? stored
+            : { version: MANIFEST_VERSION, domain, user, problems: {} }
+
+    Object.assign(job, { total: slugs.length, done: 0, failed: 0, written: 0, unchanged: 0, errors: [] })
+
+    async function writeIfChanged(relative, content) {
+        const file = path.join(dir, relative)
+        if ((await readText(file)) === content) {
+            job.unchanged++
+            return false
+        }
+        await fs.mkdir(path.dirname(file), { recursive: true })
+        await fs.writeFile(file, content)
+        job.written++
+        return true
+    }
+
+    // Newest accepted submission per language, down to the newest one the last run already saw.
+    async function latestAccepted(slug, seenUpTo) {
+        const byLang = new Map()
+        let newest = seenUpTo
+        let offset = 0
+        let lastKey = null
+        for (let page = 0; page < MAX_PAGES; page++) {
+            const resp = await lc.listSubmissions(slug, { offset, lastKey })
+            if (!resp.ok) return resp
+            const { submissions, hasNext } = resp.data
+            let reachedSeen = false
+            for (const s of submissions) {
+                if (s.id <= seenUpTo) {
+                    reachedSeen = true
+                    break
+                }
+                newest = Math.max(newest, s.id)
+                if (ACCEPTED.has(s.status) && s.lang && !byLang.has(s.lang)) byLang.set(s.lang, s)
+            }
+            if (reachedSeen || !hasNext) break
+            offset += submissions.length
+            lastKey = resp.data.lastKey
+        }
+        return { ok: true, byLang, newest }
+    }
+
+    for (const slug of slugs) {
+        if (job.cancelled) break
+        try {
+            const previous = manifest.problems[slug]
+            const found = await latestAccepted(slug, previous?.newestSubmissionId ?? 0)
+            if (!found.ok) throw new UpstreamFailure(found)
+
+            const q = await lc.question(slug)
+            if (!q.ok) throw new UpstreamFailure(q)
+            const question = q.question
+            const folder = folderFor(question.frontend_id, slug)
+
+            const langs = { ...previous?.langs }
+            const pending = new Map(found.byLang)
+            // Solution files that went missing (deleted by hand, or the folder was renamed) are fetched again.
+            for (const entry of Object.values(langs)) {
+                if (!pending.has(entry.lang) && (await readText(path.join(dir, folder, entry.file))) == null) {
+                    pending.set(entry.lang, { id: entry.submissionId, lang_name: entry.langName, timestamp: entry.timestamp })
+                }
+            }
+
+            for (const [lang, submission] of pending) {
+                const detail = await lc.submissionDetail(submission.id)
+                if (!detail.ok) throw new UpstreamFailure(detail)
+                const file = solutionFileFor(lang)
+                const code = detail.data.code
+                await writeIfChanged(path.join(folder, file), code.endsWith('\n') ? code : `${code}\n`)
+                langs[lang] = {
+                    lang,
+                    langName: detail.data.lang_name || submission.lang_name || lang,
+                    file,
+                    submissionId: submission.id,
+                    timestamp: submission.timestamp,
+                }
+            }
+            if (previous && previous.folder !== folder && isInside(dir, previous.folder)) {
+                await fs.rm(path.join(dir, previous.folder), { recursive: true, force: true })
+            }
+            if (!Object.keys(langs).length) {
+                job.done++
+                continue
+            }
+
+            const solutions = Object.values(langs).sort((a, b) => a.lang.localeCompare(b.lang))
+            await writeIfChanged(
+                path.join(folder, 'README.md'),
+                renderProblemReadme(question, { domain, statementLang, solutions })
+            )
+
+            manifest.problems[slug] = {
+                folder,
+                frontendId: question.frontend_id,
+                title: question.title,
+                difficulty: question.difficulty,
+                tags: (question.topic_tags || []).map((t) => t.name),
+                newestSubmissionId: found.newest,
+                langs,
+            }
+            job.done++
+        } catch (e) {
+            job.failed++
+            job.done++
+            job.errors.push({ slug, error: e.code || e.message })
+        }
+    }
+
+    const problems = Object.values(manifest.problems)
+    await writeIfChanged('README.md', renderIndex(problems, { domain, user }))
+    await fs.writeFile(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`)
+    return { dir, problems: problems.length, written: job.written, unchanged: job.unchanged, failed: job.failed }
+}
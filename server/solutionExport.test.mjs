@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, test } from 'node:test'
+import { assertExportDir, ExportDirError, resolveExportDir } from './solutionExport.mjs'
+
+describe('resolveExportDir', () => {
+    const base = path.resolve('/srv/exports')
+    const roots = [base, path.resolve('/home/me/leetcode')]
+
+    test('resolves relative and empty requests against the base', () => {
+        assert.equal(resolveExportDir('', { base, roots }), base)
+        assert.equal(resolveExportDir('2024', { base, roots }), path.join(base, '2024'))
+    })
+
+    test('accepts absolute paths under any root', () => {
+        const dir = path.resolve('/home/me/leetcode/solutions')
+        assert.equal(resolveExportDir(dir, { base, roots }), dir)
+        assert.equal(resolveExportDir(roots[1], { base, roots }), roots[1])
+    })
+
+    test('refuses paths outside every root', () => {
+        assert.equal(resolveExportDir(path.resolve('/etc'), { base, roots }), null)
+        assert.equal(resolveExportDir('../elsewhere', { base, roots }), null)
+        assert.equal(resolveExportDir('2024/../../..', { base, roots }), null)
+    })
+
+    test('does not treat a shared name prefix as nesting', () => {
+        assert.equal(resolveExportDir(path.resolve('/srv/exports-old'), { base, roots }), null)
+    })
+})
+
+describe('assertExportDir', () => {
+    let tmp
+
+    before(async () => {
+        tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'leetlite-export-test-'))
+    })
+
+    after(async () => {
+        await fs.rm(tmp, { recursive: true, force: true })
+    })
+
+    test('accepts a missing directory', async () => {
+        await assertExportDir(path.join(tmp, 'missing'))
+    })
+
+    test('accepts an empty directory', async () => {
+        const dir = path.join(tmp, 'empty')
+        await fs.mkdir(dir)
+        await assertExportDir(dir)
+    })
+
+    test('accepts a previous export', async () => {
+        const dir = path.join(tmp, 'previous')
+        await fs.mkdir(dir)
+        await fs.writeFile(path.join(dir, '.leetlite-export.json'), '{}')
+        await fs.writeFile(path.join(dir, 'README.md'), '')
+        await assertExportDir(dir)
+    })
+
+    test('refuses a directory with other content', async () => {
+        const dir = path.join(tmp, 'other')
+        await fs.mkdir(dir)
+        await fs.writeFile(path.join(dir, 'notes.txt'), '')
+        await assert.rejects(assertExportDir(dir), (e) => {
+            assert.ok(e instanceof ExportDirError)
+            assert.equal(e.code, 'EXPORT_DIR_NOT_EMPTY')
+            assert.equal(e.status, 409)
+            return true
+        })
+    })
+
+    test('refuses a path that is not a directory', async () => {
+        const file = path.join(tmp, 'file.txt')
+        await fs.writeFile(file, '')
+        await assert.rejects(assertExportDir(file), { code: 'EXPORT_DIR_INVALID', status: 400 })
+    })
+})
@@ -0,0 +1,216 @@
+import crypto from 'node:crypto'
+import { createAccountStore } from './accountStore.mjs'
+
+// Built-in list behind the star toggle; it cannot be renamed or deleted.
+export const FAVORITES_ID = 'favorites'
+export const EXPORT_FORMAT = 'leetlite.lists'
+export const EXPORT_VERSION = 1
+
+const MAX_LISTS = 100
+const MAX_ITEMS = 2000
+const MAX_NAME = 80
+const MAX_DESCRIPTION = 500
+const SLUG_RE = /^[a-z0-9][a-z0-9-]*$/
+
+export class StudyListError extends Error {
+    constructor(code, status, message) {
+        super(message || code)
+        this.code = code
+        this.status = status
+    }
+}
+
+function normalizeSlugs(value) {
+    if (!Array.isArray(value)) return []
+    const seen = new Set()
+    for (const raw of value) {
+        const slug = String(raw || '').trim().toLowerCase()
+        if (SLUG_RE.test(slug)) seen.add(slug)
+    }
+    return [...seen].slice(0, MAX_ITEMS)
+}
+
+function normalizeName(value) {
+    const name = String(value ?? '').trim().slice(0, MAX_NAME)
+    if (!name) throw new StudyListError('LIST_NAME_REQUIRED', 400)
+    return name
+}
+
+function normalizeDescription(value) {
+    return String(value ?? '').trim().slice(0, MAX_DESCRIPTION)
+}
+
+function favoritesList() {
+    return { id: FAVORITES_ID, name: null, description: '', slugs: [], createdAt: 0, updatedAt: 0 }
+}
+
+// Favorites always come first, even before the account has starred anything.
+function withFavorites(lists) {
+    const favorites = lists.find((l) => l.id === FAVORITES_ID) || favoritesList()
+    return [favorites, ...lists.filter((l) => l.id !== FAVORITES_ID)]
+}
+
+/**
+ * Reads an export document (`{ format, version, lists: [{ name, description, slugs }] }`), a bare
+ * array of such lists, or a single list. Throws LIST_IMPORT_INVALID when nothing usable is found.
+ */
+export function parseListImport(payload) {
+    let lists = null
+    if (Array.isArray(payload)) lists = payload
+    else if (Array.isArray(payload?.lists)) lists = payload.lists
+    else if (payload && typeof payload === 'object' && Array.isArray(payload.slugs)) lists = [payload]
+
+    if (payload?.format != null && payload.format !== EXPORT_FORMAT) lists = null
+    if (!lists?.length) throw new StudyListError('LIST_IMPORT_INVALID', 400)
+
+    return lists.map((l) => {
+        const slugs = normalizeSlugs(l?.slugs)
+        if (l?.id === FAVORITES_ID) return { favorites: true, slugs }
+        return { name: normalizeName(l?.name), description: normalizeDescription(l?.description), slugs }
+    })
+}
+
+/**
+ * Named problem lists per account: `{ lists: [{ id, name, description, slugs, createdAt, updatedAt }] }`.
+ * Slugs keep the order they were added in. The favorites list has `name: null`; clients label it.
+ */
+export function createStudyListStore({ dir }) {
+    const store = createAccountStore({ dir })
+
+    async function listsOf(owner) {
+        const doc = await store.get(owner)
+        return withFavorites(Array.isArray(doc?.lists) ? doc.lists : [])
+    }
+
+    // `fn` returns the next lists and the value to resolve with; if it throws, the document is kept as is.
+    async function mutate(owner, fn) {
+        let result = null
+        let error = null
+        await store.update(owner, (doc) => {
+            const lists = withFavorites(Array.isArray(doc?.lists) ? doc.lists : [])
+            try {
+                const [next, value] = fn(lists)
+                result = value
+                return { ...doc, lists: next }
+            } catch (e) {
+                error = e
+                return doc
+            }
+        })
+        if (error) throw error
+        return result
+    }
+
+    function updateOne(owner, id, fn) {
+        return mutate(owner, (lists) => {
+            const index = lists.findIndex((l) => l.id === id)
+            if (index < 0) throw new StudyListError('NOT_FOUND', 404)
+            const next = { ...fn(lists[index]), updatedAt: Date.now() }
+            return [lists.map((l, i) => (i === index ? next : l)), next]
+        })
+    }
+
+    function create(lists, { name, description, slugs }) {
+        // `lists` includes favorites, which does not count against the limit.
+        if (lists.length > MAX_LISTS) throw new StudyListError('LIST_LIMIT', 409)
+        const now = Date.now()
+        return {
+            id: crypto.randomUUID(),
+            name: normalizeName(name),
+            description: normalizeDescription(description),
+            slugs: normalizeSlugs(slugs),
+            createdAt: now,
+            updatedAt: now,
+        }
+    }
+
+    return {
+        list: listsOf,
+
+        async get(owner, id) {
+            return (await listsOf(owner)).find((l) => l.id === id) || null
+        },
+
+        create(owner, fields) {
+            return mutate(owner, (lists) => {
+                const list = create(lists, fields)
+                return [[...lists, list], list]
+            })
+        },
+
+        /** Patches `name`, `description` and/or `slugs` (a full replacement, e.g. after reordering). */
+        update(owner, id, patch) {
+            if (id === FAVORITES_ID && (patch.name !== undefined || patch.description !== undefined)) {
+                return Promise.reject(new StudyListError('LIST_READONLY', 400))
+            }
+            return updateOne(owner, id, (list) => ({
+                ...list,
+                ...(patch.name !== undefined ? { name: normalizeName(patch.name) } : {}),
+                ...(patch.description !== undefined ? { description: normalizeDescription(patch.description) } : {}),
+                ...(patch.slugs !== undefined ? { slugs: normalizeSlugs(patch.slugs) } : {}),
+            }))
+        },
+
+        remove(owner, id) {
+            if (id === FAVORITES_ID) return Promise.reject(new StudyListError('LIST_READONLY', 400))
+            return mutate(owner, (lists) => {
+                if (!lists.some((l) => l.id === id)) throw new StudyListError('NOT_FOUND', 404)
+                return [lists.filter((l) => l.id !== id), true]
+            })
+        },
+
+        addItem(owner, id, slug) {
+            const [item] = normalizeSlugs([slug])
+            if (!item) return Promise.reject(new StudyListError('SLUG_REQUIRED', 400))
+            return updateOne(owner, id, (list) => {
+                if (list.slugs.includes(item)) return list
+                if (list.slugs.length >= MAX_ITEMS) throw new StudyListError('LIST_LIMIT', 409)
+                return { ...list, slugs: [...list.slugs, item] }
+            })
+        },
+
+        removeItem(owner, id, slug) {
+            const item = String(slug || '').trim().toLowerCase()
+            return updateOne(owner, id, (list) => ({ ...list, slugs: list.slugs.filter((s) => s !== item) }))
+        },
+
+        /**
+         * Adds every list of an export document as a new list, except exported favorites, which are
+         * merged into this account's favorites. Resolves to the lists that were created or changed.
+         */
+        importLists(owner, payload) {
+            const incoming = parseListImport(payload)
+            return mutate(owner, (lists) => {
+                const [first, ...rest] = lists
+                let favorites = first
+                const created = []
+                for (const fields of incoming) {
+                    if (fields.favorites) {
+                        const slugs = normalizeSlugs([...favorites.slugs, ...fields.slugs])
+                        favorites = { ...favorites, slugs, updatedAt: Date.now() }
+                    } else {
+                        created.push(create([favorites, ...rest, ...created], fields))
+                    }
+                }
+                const touched = incoming.some((l) => l.favorites) ? [favorites, ...created] : created
+                return [[favorites, ...rest, ...created], touched]
+            })
+        },
+
+        /** Builds an export document for the given list ids, or for every list when `ids` is empty. */
+        async exportLists(owner, ids = []) {
+            const lists = (await listsOf(owner)).filter((l) => !ids.length || ids.includes(l.id))
+            return {
+                format: EXPORT_FORMAT,
+                version: EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                lists: lists.map((l) => ({
+                    ...(l.id === FAVORITES_ID ? { id: FAVORITES_ID } : {}),
+                    name: l.name,
+                    description: l.description,
+                    slugs: l.slugs,
+                })),
+            }
+        },
+    }
+}
@@ -0,0 +1,97 @@
+import { UpstreamError, describeUpstreamFailure } from './upstream.mjs'
+
+const INITIAL_DELAY = 500
+const MAX_DELAY = 5000
+const BACKOFF = 1.5
+const DEFAULT_TIMEOUT = 1000 * 60 * 3
+
+/**
+ * Shares one upstream poller per submission across every listener.
+ *
+ * `check()` must resolve to `{ ok, data }` like the LeetCode client's submissionCheck. Listeners receive
+ * `(event, payload)` with event one of `state` (PENDING / STARTED ...), `done`, `error`, `timeout`.
+ * The poller stops once judging finishes, the timeout elapses or the last listener leaves.
+ */
+export function createSubmissionWatcher({ timeout = DEFAULT_TIMEOUT } = {}) {
+    // key -> { listeners: Set, last: { event, payload } | null, timer, stopped }
+    const watches = new Map()
+
+    function emit(watch, event, payload) {
+        watch.last = { event, payload }
+        for (const listener of watch.listeners) {
+            try {
+                listener(event, payload)
+            } catch {
+                // a broken listener must not stop the others
+            }
+        }
+    }
+
+    function stop(key, watch) {
+        watch.stopped = true
+        if (watch.timer) clearTimeout(watch.timer)
+        if (watches.get(key) === watch) watches.delete(key)
+    }
+
+    function start(key, check) {
+        const watch = { listeners: new Set(), last: null, timer: null, stopped: false }
+        watches.set(key, watch)
+        const deadline = Date.now() + timeout
+        let delay = INITIAL_DELAY
+        let lastState = null
+
+        async function tick() {
+            if (watch.stopped) return
+
+            let result
+            try {
+                result = await check()
+            } catch (e) {
+                const error = e instanceof UpstreamError ? e.code : 'NETWORK_ERROR'
+                result = { ok: false, status: 0, error, raw: e instanceof Error ? e.message : String(e) }
+            }
+            if (watch.stopped) return
+
+            if (!result.ok) {
+                emit(watch, 'error', describeUpstreamFailure(result).body)
+                return stop(key, watch)
+            }
+
+            const state = String(result.data?.state || '').toUpperCase()
+            if (state === 'SUCCESS') {
+                emit(watch, 'done', result.data)
+                return stop(key, watch)
+            }
+            if (state !== lastState) {
+                lastState = state
+                emit(watch, 'state', result.data)
+            }
+
+            if (Date.now() + delay > deadline) {
+                emit(watch, 'timeout', { error: 'JUDGE_TIMEOUT', state })
+                return stop(key, watch)
+            }
+
+            delay = Math.min(MAX_DELAY, Math.round(delay * BACKOFF))
+            watch.timer = setTimeout(tick, delay)
+        }
+
+        watch.timer = setTimeout(tick, 0)
+        return watch
+    }
+
+    return {
+        /** Subscribes to a submission; returns an unsubscribe function. */
+        subscribe(key, check, listener) {
+            const watch = watches.get(key) || start(key, check)
+            watch.listeners.add(listener)
+            // Late joiners get the current state straight away.
+            if (watch.last) listener(watch.last.event, watch.last.payload)
+
+            return () => {
+                watch.listeners.delete(listener)
+                if (!watch.listeners.size) stop(key, watch)
+            }
+        },
+    }
+}
@@ -0,0 +1,203 @@
+import crypto from 'node:crypto'
+
+const DEFAULT_TIMEOUT = 15000
+const DEFAULT_RETRIES = 2
+const DEFAULT_BURST = 10
+const DEFAULT_RATE = 3
+const BACKOFF_BASE = 500
+// A Retry-After longer than this is not worth holding the request open for.
+const MAX_RETRY_WAIT = 10000
+const BUCKET_IDLE = 1000 * 60 * 10
+
+/** Thrown when no HTTP response came back at all; `code` is TIMEOUT or NETWORK_ERROR. */
+export class UpstreamError extends Error {
+    constructor(code, message) {
+        super(message)
+        this.name = 'UpstreamError'
+        this.code = code
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/** Retry-After is either delta-seconds or an HTTP date. Returns milliseconds or null. */
+export function parseRetryAfter(value) {
+    if (!value) return null
+    const seconds = Number(value)
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+    const at = Date.parse(value)
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500
+}
+
+/**
+ * Wraps `fetch` for LeetCode calls: per-attempt timeout (covering the body, which is buffered),
+ * retries on 429/5xx honouring Retry-After, and a token bucket per caller key so one session
+ * cannot burst through the upstream rate limit. `coalesce` shares one in-flight promise per key.
+ *
+ * Non-idempotent requests (submit/run) are only retried on 429, which LeetCode never processed.
+ */
+export function createUpstreamClient({
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    burst = DEFAULT_BURST,
+    ratePerSecond = DEFAULT_RATE,
+} = {}) {
+    // key -> { tokens, updatedAt, queue: Promise }
+    const buckets = new Map()
+    const inflight = new Map()
+
+    setInterval(() => {
+        const cutoff = Date.now() - BUCKET_IDLE
+        for (const [key, bucket] of buckets) {
+            if (bucket.updatedAt < cutoff) buckets.delete(key)
+        }
+    }, BUCKET_IDLE).unref()
+
+    function take(key) {
+        let bucket = buckets.get(key)
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: Date.now(), queue: Promise.resolve() }
+            buckets.set(key, bucket)
+        }
+        // Waiters queue up so tokens are handed out in arrival order.
+        const turn = bucket.queue.then(async () => {
+            const now = Date.now()
+            bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * ratePerSecond)
+            bucket.updatedAt = now
+            if (bucket.tokens < 1) {
+                await sleep(((1 - bucket.tokens) / ratePerSecond) * 1000)
+                bucket.tokens = 1
+                bucket.updatedAt = Date.now()
+            }
+            bucket.tokens -= 1
+        })
+        bucket.queue = turn
+        return turn
+    }
+
+    async function attempt(url, init) {
+        const controller = new AbortController()
+        const onAbort = () => controller.abort(init.signal.reason)
+        if (init.signal) init.signal.addEventListener('abort', onAbort, { once: true })
+        const timer = setTimeout(() => controller.abort(new UpstreamError('TIMEOUT', `Upstream timed out after ${timeout}ms`)), timeout)
+
+        try {
+            const resp = await fetch(url, { ...init, signal: controller.signal })
+            const body = await resp.arrayBuffer()
+            return new Response(body.byteLength ? body : null, {
+                status: resp.status,
+                statusText: resp.statusText,
+                headers: resp.headers,
+            })
+        } catch (e) {
+            if (controller.signal.reason instanceof UpstreamError) throw controller.signal.reason
+            if (init.signal?.aborted) throw e
+            throw new UpstreamError('NETWORK_ERROR', e instanceof Error ? e.message : String(e))
+        } finally {
+            clearTimeout(timer)
+            if (init.signal) init.signal.removeEventListener('abort', onAbort)
+        }
+    }
+
+    return {
+        /** Like fetch, but rate limited per `key`; throws UpstreamError when no response arrives. */
+        async fetch(key, url, init = {}, { idempotent = true } = {}) {
+            for (let i = 0; ; i++) {
+                await take(key)
+                let resp
+                try {
+                    resp = await attempt(url, init)
+                } catch (e) {
+                    if (!(e instanceof UpstreamError) || !idempotent || i >= retries) throw e
+                    await sleep(BACKOFF_BASE * 2 ** i)
+                    continue
+                }
+
+                const retryable = resp.status === 429 || (idempotent && isRetryableStatus(resp.status))
+                if (!retryable || i >= retries) return resp
+
+                const retryAfter = parseRetryAfter(resp.headers.get('retry-after'))
+                if (retryAfter != null && retryAfter > MAX_RETRY_WAIT) return resp
+                await sleep(retryAfter ?? BACKOFF_BASE * 2 ** i + Math.random() * BACKOFF_BASE)
+            }
+        },
+
+        /** Runs `fn` once for concurrent callers with the same key. */
+        coalesce(key, fn) {
+            const existing = inflight.get(key)
+            if (existing) return existing
+            const promise = Promise.resolve()
+                .then(fn)
+                .finally(() => inflight.delete(key))
+            inflight.set(key, promise)
+            return promise
+        },
+    }
+}
+
+/** Stable, non-reversible key for a session's credentials (or the anonymous pool per domain). */
+export function upstreamKey(session) {
+    const domain = session?.domain || 'leetcode.com'
+    if (!session?.cookie) return `anon:${domain}`
+    return `${domain}:${crypto.createHash('sha1').update(session.cookie).digest('hex')}`
+}
+
+/** Builds the `{ ok: false }` result for a non-2xx upstream response. */
+export function httpFailure(resp, raw) {
+    return {
+        ok: false,
+        status: resp.status,
+        error: 'HTTP_ERROR',
+        retryAfter: parseRetryAfter(resp.headers.get('retry-after')),
+        raw,
+    }
+}
+
+function upstreamMessage(raw) {
+    const message = raw?.errors?.[0]?.message ?? raw?.error ?? raw?.detail
+    return typeof message === 'string' && message.length <= 300 ? message : null
+}
+
+/**
+ * Maps a failed upstream result (`{ ok: false, status, error, raw }`) to the HTTP status and
+ * error body we send to the browser. Raw upstream bodies are logged by the caller, never forwarded.
+ * The body carries a code for the client to put into words; `message` is only set to LeetCode's
+ * own short error text, when it gave one.
+ */
+export function describeUpstreamFailure(result) {
+    const upstreamStatus = result.status || null
+    const retryAfter = result.retryAfter != null ? Math.ceil(result.retryAfter / 1000) : null
+    const body = (status, error, message) => ({ status, body: { error, message, upstreamStatus, retryAfter } })
+
+    if (result.error === 'TIMEOUT') return body(504, 'UPSTREAM_TIMEOUT')
+    if (result.error === 'NETWORK_ERROR') return body(502, 'UPSTREAM_UNREACHABLE')
+    if (upstreamStatus === 429) return body(429, 'UPSTREAM_RATE_LIMITED')
+    if (upstreamStatus === 401 || upstreamStatus === 403) return body(502, 'UPSTREAM_UNAUTHORIZED')
+    if (upstreamStatus === 404) return body(404, 'NOT_FOUND')
+    if (upstreamStatus >= 500) return body(502, 'UPSTREAM_UNAVAILABLE')
+    if (result.error === 'GRAPHQL_ERROR') return body(502, 'UPSTREAM_GRAPHQL_ERROR', upstreamMessage(result.raw))
+    if (result.error === 'INVALID_JSON') return body(502, 'UPSTREAM_BAD_RESPONSE')
+    return body(502, result.error || 'UPSTREAM_ERROR', upstreamMessage(result.raw))
+}
+
+/** Failures worth keeping a session (and serving cached data) through: offline, throttled or upstream down. */
+export function isTransientFailure(result) {
+    return !result.ok && (!result.status || result.status === 429 || result.status >= 500)
+}
+
+// The upstream call throws (timeout, DNS failure, connection reset) when LeetCode does not answer;
+// treat that like an HTTP error.
+export async function tryUpstream(fn) {
+    try {
+        return await fn()
+    } catch (e) {
+        const error = e instanceof UpstreamError ? e.code : 'NETWORK_ERROR'
+        return { ok: false, status: 0, error, raw: e instanceof Error ? e.message : String(e) }
+    }
+}
@@ -0,0 +1,189 @@
+import crypto from 'node:crypto'
+import { createAccountStore } from './accountStore.mjs'
+
+// LeetCode contest rules: 5 minutes per wrong attempt before the accepted one.
+const PENALTY = 1000 * 60 * 5
+const HISTORY_LIMIT = 50
+const ACCEPTED = 10
+// Compile errors and internal judge errors do not count as wrong attempts.
+const UNPENALIZED = new Set([16, 20])
+
+function endsAt(contest) {
+    return contest.startedAt + contest.duration
+}
+
+function isActive(contest, now = Date.now()) {
+    return contest.finishedAt == null && now < endsAt(contest)
+}
+
+/**
+ * Ranks a virtual run the way the live contest would: total credit, then finish time, which is
+ * the last accepted submission (relative to the start) plus the penalty of every solved problem.
+ */
+export function scoreVirtualContest(contest) {
+    let score = 0
+    let finishTime = null
+    let penalty = 0
+
+    const problems = contest.problems.map((p) => {
+        const attempts = (contest.attempts?.[p.slug] || []).slice().sort((a, b) => a.at - b.at)
+        let wrong = 0
+        let acceptedAt = null
+        for (const attempt of attempts) {
+            if (attempt.statusCode === ACCEPTED) {
+                acceptedAt = attempt.at - contest.startedAt
+                break
+            }
+            if (attempt.statusCode != null && !UNPENALIZED.has(attempt.statusCode)) wrong++
+        }
+        if (acceptedAt != null) {
+            score += p.credit
+            penalty += wrong * PENALTY
+            finishTime = Math.max(finishTime ?? 0, acceptedAt)
+        }
+        return {
+            slug: p.slug,
+            credit: p.credit,
+            acceptedAt,
+            wrong,
+            attempts: attempts.length,
+            pending: attempts.some((a) => a.statusCode == null && !a.unknown),
+            unknown: attempts.filter((a) => a.unknown).length,
+        }
+    })
+
+    return {
+        score,
+        maxScore: contest.problems.reduce((sum, p) => sum + p.credit, 0),
+        solved: problems.filter((p) => p.acceptedAt != null).length,
+        finishTime: finishTime == null ? null : finishTime + penalty,
+        penalty,
+        problems,
+    }
+}
+
+function present(contest, now = Date.now()) {
+    return {
+        ...contest,
+        endsAt: endsAt(contest),
+        active: isActive(contest, now),
+        scoreboard: scoreVirtualContest(contest),
+    }
+}
+
+/**
+ * Virtual contest runs per account: `{ contests: [...] }`, newest first. A run is active until it
+ * is finished or its duration elapses; only submissions made while active are recorded.
+ */
+export function createVirtualContestStore({ dir }) {
+    const store = createAccountStore({ dir })
+
+    async function contestsOf(owner) {
+        const doc = await store.get(owner)
+        return Array.isArray(doc?.contests) ? doc.contests : []
+    }
+
+    function updateContests(owner, fn) {
+        return store.update(owner, (doc) => {
+            const contests = Array.isArray(doc?.contests) ? doc.contests : []
+            return { ...doc, contests: fn(contests) }
+        })
+    }
+
+    return {
+        async list(owner) {
+            const now = Date.now()
+            return (await contestsOf(owner)).map((c) => present(c, now))
+        },
+
+        async get(owner, id) {
+            const contest = (await contestsOf(owner)).find((c) => c.id === id)
+            return contest ? present(contest) : null
+        },
+
+        /** Starts a run of `{ slug, title, duration, problems: [{ slug, title, credit }] }`. */
+        async start(owner, { slug, title, duration, problems }) {
+            let result = null
+            await updateContests(owner, (contests) => {
+                const running = contests.find((c) => isActive(c))
+                if (running) {
+                    result = { ok: false, error: 'VIRTUAL_ACTIVE', contest: present(running) }
+                    return contests
+                }
+                const contest = {
+                    id: crypto.randomUUID(),
+                    slug,
+                    title,
+                    duration,
+                    problems,
+                    startedAt: Date.now(),
+                    finishedAt: null,
+                    attempts: {},
+                }
+                result = { ok: true, contest: present(contest) }
+                return [contest, ...contests].slice(0, HISTORY_LIMIT)
+            })
+            return result
+        },
+
+        async finish(owner, id) {
+            let found = null
+            await updateContests(owner, (contests) =>
+                contests.map((c) => {
+                    if (c.id !== id) return c
+                    const next = c.finishedAt == null ? { ...c, finishedAt: Math.min(Date.now(), endsAt(c)) } : c
+                    found = next
+                    return next
+                })
+            )
+            return found ? present(found) : null
+        },
+
+        async remove(owner, id) {
+            let removed = false
+            await updateContests(owner, (contests) =>
+                contests.filter((c) => {
+                    if (c.id !== id) return true
+                    removed = true
+                    return false
+                })
+            )
+            return removed
+        },
+
+        /** Records a submission against an active run; returns false when it does not count. */
+        async recordSubmission(owner, id, problemSlug, submissionId) {
+            let recorded = false
+            await updateContests(owner, (contests) =>
+                contests.map((c) => {
+                    if (c.id !== id || !isActive(c) || !c.problems.some((p) => p.slug === problemSlug)) return c
+                    recorded = true
+                    const attempts = c.attempts?.[problemSlug] || []
+                    const attempt = { submissionId, at: Date.now(), statusCode: null, status: null }
+                    return { ...c, attempts: { ...c.attempts, [problemSlug]: [...attempts, attempt] } }
+                })
+            )
+            return recorded
+        },
+
+        /**
+         * Stores the final judge verdict of a recorded submission. `unknown` settles a submission whose
+         * verdict could not be read (judge polling failed or timed out): it counts neither as accepted nor
+         * as a wrong attempt, and the problem stops showing as pending.
+         */
+        async recordVerdict(owner, id, submissionId, { statusCode, status, unknown = false }) {
+            await updateContests(owner, (contests) =>
+                contests.map((c) => {
+                    if (c.id !== id) return c
+                    const attempts = {}
+                    for (const [slug, list] of Object.entries(c.attempts || {})) {
+                        attempts[slug] = list.map((a) =>
+                            a.submissionId === submissionId ? { ...a, statusCode, status, unknown } : a
+                        )
+                    }
+                    return { ...c, attempts }
+                })
+            )
+        },
+    }
+}
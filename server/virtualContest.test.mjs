@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { scoreVirtualContest } from './virtualContest.mjs'
+
+const MINUTE = 1000 * 60
+const START = Date.UTC(2024, 0, 1)
+
+function contest(attempts) {
+    return {
+        startedAt: START,
+        problems: [
+            { slug: 'a', credit: 3 },
+            { slug: 'b', credit: 5 },
+        ],
+        attempts,
+    }
+}
+
+const at = (minutes) => START + minutes * MINUTE
+
+describe('scoreVirtualContest', () => {
+    test('scores nothing without attempts', () => {
+        const board = scoreVirtualContest(contest({}))
+        assert.equal(board.score, 0)
+        assert.equal(board.maxScore, 8)
+        assert.equal(board.solved, 0)
+        assert.equal(board.finishTime, null)
+    })
+
+    test('adds 5 minutes per wrong attempt before the accepted one, ignoring compile errors', () => {
+        const board = scoreVirtualContest(
+            contest({
+                a: [
+                    { at: at(10), statusCode: 11 },
+                    { at: at(4), statusCode: 20 },
+                    { at: at(12), statusCode: 10 },
+                    { at: at(15), statusCode: 11 },
+                ],
+                b: [
+                    { at: at(20), statusCode: 14 },
+                    { at: at(30), statusCode: 10 },
+                ],
+            })
+        )
+        assert.equal(board.score, 8)
+        assert.equal(board.solved, 2)
+        assert.equal(board.penalty, 10 * MINUTE)
+        assert.equal(board.finishTime, 40 * MINUTE)
+        assert.deepEqual(
+            board.problems.map((p) => [p.slug, p.wrong, p.acceptedAt]),
+            [
+                ['a', 1, 12 * MINUTE],
+                ['b', 1, 30 * MINUTE],
+            ]
+        )
+    })
+
+    test('charges no penalty for unsolved problems', () => {
+        const board = scoreVirtualContest(contest({ a: [{ at: at(5), statusCode: 11 }] }))
+        assert.equal(board.penalty, 0)
+        assert.equal(board.problems[0].wrong, 1)
+    })
+
+    test('tells attempts still judging from attempts whose verdict was never learned', () => {
+        const board = scoreVirtualContest(
+            contest({
+                a: [{ at: at(5), statusCode: null }],
+                b: [{ at: at(6), statusCode: null, status: 'Unknown', unknown: true }],
+            })
+        )
+        const [a, b] = board.problems
+        assert.equal(a.pending, true)
+        assert.equal(a.unknown, 0)
+        assert.equal(b.pending, false)
+        assert.equal(b.unknown, 1)
+        assert.equal(b.wrong, 0)
+    })
+})
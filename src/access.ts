@@ -0,0 +1,30 @@
+import { ref } from 'vue'
+import { api } from './api'
+
+// Optional access password of the local server (LC_ACCESS_PASSWORD). While locked, the app shows the password
+// prompt instead of any view; `api()` locks it whenever the server answers ACCESS_REQUIRED.
+export const accessEnabled = ref(false)
+export const accessLocked = ref(false)
+
+type AccessState = { enabled: boolean; unlocked: boolean }
+
+function apply(state: AccessState) {
+  accessEnabled.value = state.enabled
+  accessLocked.value = state.enabled && !state.unlocked
+}
+
+export async function loadAccess() {
+  try {
+    apply(await api<AccessState>('/api/access', { method: 'GET' }))
+  } catch {
+    // the server is unreachable; views report that themselves
+  }
+}
+
+export async function unlockAccess(password: string) {
+  apply(await api<AccessState>('/api/access', { method: 'POST', body: JSON.stringify({ password }) }))
+}
+
+export async function lockAccess() {
+  apply(await api<AccessState>('/api/access', { method: 'DELETE' }))
+}
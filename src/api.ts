@@ -0,0 +1,101 @@
+import { accessLocked } from './access'
+import { hasMessage, t } from './i18n'
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+// The server's double-submit CSRF token: a readable cookie repeated in a header on state-changing requests.
+function csrfToken() {
+  const match = document.cookie.match(/(?:^|;\s*)lc_csrf=([^;]*)/)
+  return match ? decodeURIComponent(match[1] ?? '') : null
+}
+
+export async function api<T>(path: string, init?: RequestInit): Promise<T> {
+  const send = () => {
+    const method = (init?.method || 'GET').toUpperCase()
+    const csrf = SAFE_METHODS.includes(method) ? null : csrfToken()
+    return fetch(path, {
+      ...init,
+      headers: {
+        'content-type': 'application/json',
+        ...(csrf ? { 'x-csrf-token': csrf } : {}),
+        ...(init?.headers || {}),
+      },
+    })
+  }
+
+  let resp = await send()
+  // A missing or stale token comes back with a fresh cookie; one retry picks it up.
+  if (resp.status === 403 && resp.headers.get('content-type')?.includes('json')) {
+    const body = await resp.clone().json().catch(() => null)
+    if (body?.error === 'CSRF_INVALID') resp = await send()
+  }
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '')
+    let body: { error?: string; message?: string; retryAfter?: number | null } | null = null
+    try {
+      body = text ? JSON.parse(text) : null
+    } catch {
+      // not JSON; fall back to the raw text
+    }
+    if (body?.error === 'ACCESS_REQUIRED') accessLocked.value = true
+    throw new ApiError(
+      body?.message || body?.error || text || `${resp.status} ${resp.statusText}`,
+      resp.status,
+      body?.error ?? null,
+      body?.retryAfter ?? null
+    )
+  }
+
+  return resp.json() as Promise<T>
+}
+
+/** Server errors carry a machine-readable `code` (e.g. UPSTREAM_RATE_LIMITED) next to the message. */
+export class ApiError extends Error {
+  readonly status: number
+  readonly code: string | null
+  readonly retryAfter: number | null
+
+  constructor(message: string, status: number, code: string | null, retryAfter: number | null) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.retryAfter = retryAfter
+  }
+}
+
+export function errorMessage(e: unknown): string {
+  return messageForCode(e instanceof ApiError ? e.code : null, e instanceof Error ? e.message : String(e))
+}
+
+/** The localised text for a server error code, or `fallback` when there is none. */
+export function messageForCode(code: string | null | undefined, fallback: string): string {
+  const key = `error.${code}`
+  return code && hasMessage(key) ? t(key) : fallback
+}
+
+export function formatTime(ts: number) {
+  return new Date(ts).toLocaleString()
+}
+
+export function formatEpochSeconds(ts: number | null) {
+  return ts == null ? '' : formatTime(ts * 1000)
+}
+
+export function monacoLanguageFor(slug: string): string {
+  const s = slug.toLowerCase()
+  if (s === 'python3' || s === 'python') return 'python'
+  if (s === 'golang') return 'go'
+  if (s === 'cpp') return 'cpp'
+  if (s === 'csharp') return 'csharp'
+  if (s === 'javascript') return 'javascript'
+  if (s === 'typescript') return 'typescript'
+  if (s === 'java') return 'java'
+  if (s === 'kotlin') return 'kotlin'
+  if (s === 'rust') return 'rust'
+  if (s === 'php') return 'php'
+  if (s === 'ruby') return 'ruby'
+  if (s === 'swift') return 'swift'
+  return 'plaintext'
+}
@@ -0,0 +1,88 @@
+import { computed, ref } from 'vue'
+import { api } from './api'
+import { loadPrefs } from './prefs'
+import type { LeetCodeDomain, LinkedAccount, UserStatus } from './types'
+
+// What the auth endpoints answer with: the active account and every linked site.
+export type AuthState = {
+  user: UserStatus
+  domain: LeetCodeDomain
+  expiresAt: number | null
+  accounts: LinkedAccount[]
+}
+
+// App-wide login state, shared by the header, the login view and the router guard.
+export const user = ref<UserStatus | null>(null)
+export const sessionDomain = ref<LeetCodeDomain>('leetcode.com')
+export const accounts = ref<LinkedAccount[]>([])
+// When LeetCode will stop accepting the active account's cookie (epoch ms), if the token says.
+export const sessionExpiresAt = ref<number | null>(null)
+export const loadingMe = ref(false)
+export const offline = ref(false)
+// One-off message shown under the header after login (e.g. unverified e-mail).
+export const authNotice = ref<string | null>(null)
+export const isAuthed = computed(() => Boolean(user.value?.is_signed_in))
+
+let firstCheck: Promise<void> | null = null
+
+function applyState(data: AuthState) {
+  user.value = data.user
+  sessionDomain.value = data.domain
+  sessionExpiresAt.value = data.expiresAt ?? null
+  accounts.value = data.accounts ?? []
+}
+
+export async function refreshMe() {
+  loadingMe.value = true
+  try {
+    const data = await api<AuthState & { offline?: boolean }>('/api/auth/me', {
+      method: 'GET',
+    })
+    applyState(data)
+    offline.value = Boolean(data.offline)
+    if (data.user?.is_signed_in) await loadPrefs()
+  } catch {
+    user.value = null
+    accounts.value = []
+  } finally {
+    loadingMe.value = false
+  }
+}
+
+/** Resolves once the initial `/api/auth/me` round-trip is done; later calls reuse it. */
+export function ensureAuthChecked() {
+  if (!firstCheck) firstCheck = refreshMe()
+  return firstCheck
+}
+
+export async function setSignedIn(data: AuthState) {
+  applyState(data)
+  offline.value = false
+  firstCheck = Promise.resolve()
+  await loadPrefs()
+}
+
+/** Makes another linked site the active account. Preferences, lists and drafts follow the account. */
+export async function switchAccount(domain: LeetCodeDomain) {
+  await setSignedIn(await api<AuthState>('/api/auth/switch', { method: 'POST', body: JSON.stringify({ domain }) }))
+}
+
+/** Unlinks one site; unlinking the last one signs out. */
+export async function unlinkAccount(domain: LeetCodeDomain) {
+  const data = await api<AuthState | { user: null; accounts: [] }>(`/api/auth/accounts/${encodeURIComponent(domain)}`, {
+    method: 'DELETE',
+  })
+  if (data.user) {
+    await setSignedIn(data)
+  } else {
+    user.value = null
+    accounts.value = []
+  }
+}
+
+export async function logout() {
+  await api('/api/auth/logout', { method: 'POST', body: '{}' })
+  user.value = null
+  accounts.value = []
+  authNotice.value = null
+}
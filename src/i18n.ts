@@ -0,0 +1,39 @@
+import { ref, watch } from 'vue'
+import zh, { type MessageKey } from './locales/zh'
+import en from './locales/en'
+
+export type Locale = 'zh' | 'en'
+export type { MessageKey }
+
+const STORAGE_KEY = 'leetlite.locale'
+const catalogs: Record<Locale, Record<MessageKey, string>> = { zh, en }
+
+function initialLocale(): Locale {
+  const stored = localStorage.getItem(STORAGE_KEY)
+  if (stored === 'zh' || stored === 'en') return stored
+  return navigator.language.toLowerCase().startsWith('zh') ? 'zh' : 'en'
+}
+
+// Remembered per browser so the login page is already in the right language;
+// signed-in users also carry it in their server-side preferences.
+export const locale = ref<Locale>(initialLocale())
+
+watch(
+  locale,
+  (next) => {
+    localStorage.setItem(STORAGE_KEY, next)
+    document.documentElement.lang = next === 'zh' ? 'zh-CN' : 'en'
+  },
+  { immediate: true }
+)
+
+/** Looks up a message for the current locale and fills `{name}` placeholders. */
+export function t(key: MessageKey, params?: Record<string, string | number>): string {
+  const template = catalogs[locale.value][key] ?? zh[key] ?? key
+  if (!params) return template
+  return template.replace(/\{(\w+)\}/g, (match, name: string) => (params[name] != null ? String(params[name]) : match))
+}
+
+export function hasMessage(key: string): key is MessageKey {
+  return key in zh
+}
@@ -0,0 +1,97 @@
+import { computed, ref } from 'vue'
+import { api } from './api'
+import { t } from './i18n'
+import type { StudyList } from './types'
+
+export const FAVORITES_ID = 'favorites'
+
+// Study lists of the signed-in account, favorites first; shared by the list view and the problem view.
+export const studyLists = ref<StudyList[]>([])
+
+export const favoriteSlugs = computed(
+  () => new Set(studyLists.value.find((l) => l.id === FAVORITES_ID)?.slugs || [])
+)
+
+export function listName(list: StudyList) {
+  return list.id === FAVORITES_ID ? t('lists.favorites') : list.name || ''
+}
+
+function replace(list: StudyList) {
+  const index = studyLists.value.findIndex((l) => l.id === list.id)
+  if (index < 0) studyLists.value = [...studyLists.value, list]
+  else studyLists.value = studyLists.value.map((l, i) => (i === index ? list : l))
+}
+
+function listPath(id: string) {
+  return `/api/lists/${encodeURIComponent(id)}`
+}
+
+export async function loadLists() {
+  try {
+    const data = await api<{ lists: StudyList[] }>('/api/lists', { method: 'GET' })
+    studyLists.value = data.lists
+  } catch {
+    // stars and the selector simply stay empty
+  }
+}
+
+export function clearLists() {
+  studyLists.value = []
+}
+
+export async function createList(name: string, description = '') {
+  const data = await api<{ list: StudyList }>('/api/lists', {
+    method: 'POST',
+    body: JSON.stringify({ name, description }),
+  })
+  replace(data.list)
+  return data.list
+}
+
+export async function updateList(id: string, patch: { name?: string; description?: string; slugs?: string[] }) {
+  const data = await api<{ list: StudyList }>(listPath(id), { method: 'PUT', body: JSON.stringify(patch) })
+  replace(data.list)
+  return data.list
+}
+
+export async function removeList(id: string) {
+  await api(listPath(id), { method: 'DELETE' })
+  studyLists.value = studyLists.value.filter((l) => l.id !== id)
+}
+
+export async function setInList(id: string, slug: string, included: boolean) {
+  const data = await api<{ list: StudyList }>(`${listPath(id)}/items/${encodeURIComponent(slug)}`, {
+    method: included ? 'PUT' : 'DELETE',
+  })
+  replace(data.list)
+}
+
+export function toggleFavorite(slug: string) {
+  return setInList(FAVORITES_ID, slug, !favoriteSlugs.value.has(slug))
+}
+
+/** Downloads the given lists (all when empty) as a JSON file others can import. */
+export async function exportLists(ids: string[] = []) {
+  const query = ids.length ? `?ids=${encodeURIComponent(ids.join(','))}` : ''
+  const doc = await api<unknown>(`/api/lists/export${query}`, { method: 'GET' })
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `leetlite-lists-${new Date().toISOString().slice(0, 10)}.json`
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+/** Imports an export file; resolves to the lists that were created (or merged into favorites). */
+export async function importLists(file: File) {
+  let doc: unknown
+  try {
+    doc = JSON.parse(await file.text())
+  } catch {
+    throw new Error(t('error.LIST_IMPORT_INVALID'))
+  }
+  const data = await api<{ lists: StudyList[] }>('/api/lists/import', { method: 'POST', body: JSON.stringify(doc) })
+  for (const list of data.lists) replace(list)
+  return data.lists
+}
@@ -0,0 +1,339 @@
+import type { MessageKey } from './zh'
+
+const en: Record<MessageKey, string> = {
+  'app.tagline': 'Unofficial LeetCode client',
+  'app.language': 'Interface language',
+  'app.contests': 'Contests',
+  'app.dashboard': 'Progress',
+  'app.review': "Today's reviews",
+
+  'auth.syncing': 'Checking sign-in...',
+  'auth.offline': 'Offline',
+  'auth.signedInAs': 'Signed in: ',
+  'auth.logout': 'Sign out',
+  'auth.emailNotVerified':
+    'Your LeetCode e-mail address is not verified. You are signed in, but some features may be limited (verify it on LeetCode).',
+  'accounts.title': 'LeetCode accounts',
+  'accounts.link': 'Link an account on the other site',
+  'accounts.unlink': 'Unlink',
+  'accounts.unlinkConfirm': 'Unlink the {site} account?',
+  'accounts.merge': 'Merge progress across both sites',
+  'accounts.mergeHint': 'Matched by problem slug: accepted on either site counts as solved',
+  'accounts.expiresAt': 'LeetCode sign-in expires at {time}',
+  'accounts.expiresInDays': 'expires in {count}d',
+  'accounts.expiresInHours': 'expires in {count}h',
+  'accounts.expiresInMinutes': 'expires in {count}m',
+  'accounts.expired': 'expired',
+
+  'login.title': 'Sign in with a cookie',
+  'login.help':
+    "In your browser's developer tools (Network tab), copy the Cookie from the Request Headers of any leetcode request (not Set-Cookie from the Response Headers). It must contain csrftoken and LEETCODE_SESSION.",
+  'login.site': 'Site',
+  'login.submit': 'Sign in',
+  'login.linkTitle': 'Link another site',
+  'login.linkHelp': 'Signed in on {sites}. Once linked, switch accounts from the header or pick the site when submitting.',
+  'login.linkSubmit': 'Link',
+  'login.cookiePlaceholder': 'csrftoken=...; LEETCODE_SESSION=...; a "Copy as cURL" command or Set-Cookie headers work too',
+  'login.upload': 'Upload a file',
+  'login.uploadClear': 'Paste instead',
+  'login.formats': 'Accepts .har captures and cookie exports (Netscape cookies.txt or JSON). The site is detected when the data names it.',
+  'login.domainDetected': 'Detected a {site} account from the cookie data.',
+  'login.expiresSoon': 'This LeetCode sign-in expires at {time}; import a fresh cookie then.',
+  'access.title': 'Enter the access password',
+  'access.help': 'This local server is protected by an access password (LC_ACCESS_PASSWORD).',
+  'access.password': 'Access password',
+  'access.unlock': 'Unlock',
+  'access.lock': 'Lock (asks for the access password again)',
+
+  'common.loading': 'Loading...',
+  'common.loadMore': 'Load more',
+  'common.refresh': 'Refresh',
+  'common.close': 'Close',
+  'common.offlineCache': 'Offline cache',
+  'common.offlineCacheAt': 'Offline cache ({time})',
+  'common.runtime': 'Runtime: {value}',
+  'common.memory': 'Memory: {value}',
+  'common.passed': 'Passed: {correct}/{total}',
+  'common.input': 'Input',
+  'common.output': 'Output',
+  'common.expected': 'Expected',
+  'common.stdout': 'Stdout',
+  'common.judging': 'Judging',
+  'common.unknownStatus': 'Unknown status',
+  'common.chooseLang': 'Choose a language',
+  'common.emptyCode': 'Code must not be empty',
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+
+  'difficulty.Easy': 'Easy',
+  'difficulty.Medium': 'Medium',
+  'difficulty.Hard': 'Hard',
+  'difficulty.Unknown': 'Unknown',
+
+  'list.title': 'Problems',
+  'list.count': '{count} problems',
+  'list.searchPlaceholder': 'Search (number / title / slug)',
+  'list.search': 'Search',
+  'list.refreshTitle': 'Ignore the cache and reload the catalog',
+  'list.prefetchTitle': 'Cache every statement for offline reading',
+  'list.status.solved': 'Solved',
+  'list.status.attempted': 'Attempted',
+  'list.status.todo': 'Todo',
+  'list.solvedOn': 'Accepted on {sites}',
+  'list.excludePaid': 'Hide premium',
+  'list.tags': 'Tags',
+  'list.activeTags': 'Tags:',
+  'list.removeTag': 'Remove this tag',
+  'list.tagSearchPlaceholder': 'Filter tags',
+  'list.tagSolved': 'Solved {solved}/{count}',
+  'list.acRate': 'Acceptance',
+  'list.sort.id': 'By number',
+  'list.sort.acRate': 'By acceptance',
+  'list.sort.difficulty': 'By difficulty',
+  'list.order.asc': 'Ascending',
+  'list.order.desc': 'Descending',
+  'list.clearFilters': 'Clear filters',
+  'list.prefetchProgress': 'Cached statements: {done}/{total}',
+  'list.prefetchFailed': ', {count} failed',
+  'list.allLoaded': 'All loaded',
+  'list.empty': 'No matching problems',
+
+  'lists.select': 'Study list',
+  'lists.all': 'All problems',
+  'lists.favorites': 'Favorites',
+  'lists.favorite': 'Add to favorites',
+  'lists.unfavorite': 'Remove from favorites',
+  'lists.addTo': 'Add to list',
+  'lists.noLists': 'No lists yet; create one on the problem list',
+  'lists.new': 'New list',
+  'lists.name': 'List name',
+  'lists.description': 'Description (optional)',
+  'lists.edit': 'Edit',
+  'lists.delete': 'Delete',
+  'lists.deleteConfirm': 'Delete the list "{name}"? The problems themselves are not affected.',
+  'lists.export': 'Export',
+  'lists.exportAll': 'Export all',
+  'lists.exportAllTitle': 'Export every list as JSON to share it',
+  'lists.import': 'Import',
+  'lists.imported': 'Imported {count} list(s)',
+  'lists.progress': '{solved} / {total} solved, {attempted} attempted',
+  'lists.emptyHint': 'This list is empty; use "Add to list" on a problem page.',
+
+  'contest.daily': 'Daily challenge',
+  'contest.past': 'Past contests',
+  'contest.credit': '{credit} pts',
+  'contest.problemsUnavailable': 'Could not load the problems of this contest',
+  'contest.startVirtual': 'Virtual contest',
+  'contest.startConfirm': 'Start a virtual run of "{title}"? The timer starts immediately.',
+  'contest.finish': 'Finish',
+  'contest.finishConfirm': 'Finish this virtual contest early?',
+  'contest.scoreLine': 'Score {score}/{max}',
+  'contest.scoreboard': 'Virtual contest results',
+  'contest.contest': 'Contest',
+  'contest.score': 'Score',
+  'contest.finishTime': 'Finish time (with penalty)',
+  'contest.wrongAttempts': '{count} wrong',
+  'contest.delete': 'Delete record',
+  'contest.deleteConfirm': 'Delete this virtual contest record?',
+  'contest.submissionCounted': 'Counted in the virtual contest',
+  'contest.verdictUnknown': '{count} submission(s) without a readable verdict; not scored and not penalised',
+
+  'dashboard.title': 'Progress',
+  'dashboard.currentStreak': 'Current streak',
+  'dashboard.longestStreak': 'Longest streak',
+  'dashboard.activeDays': 'Active days',
+  'dashboard.days': '{count} days',
+  'dashboard.solved': 'Solved {solved} / {total}',
+  'dashboard.submissionsLastYear': '{count} submissions in the past year',
+  'dashboard.heatmapCell': '{date}: {count} submissions',
+  'dashboard.less': 'Less',
+  'dashboard.more': 'More',
+  'dashboard.languages': 'Languages',
+  'dashboard.problemsSolved': '{count} solved',
+  'dashboard.recentAc': 'Recently accepted',
+  'dashboard.noData': 'No data yet',
+  'dashboard.export': 'Export solutions',
+  'dashboard.exportTitle': 'Write accepted submissions to a local folder (one directory per problem with a README), ready for Git',
+  'dashboard.exportStop': 'Stop export',
+  'dashboard.exportRunning': 'Exporting {done}/{total}',
+  'dashboard.exportDone': 'Exported to {dir}: {written} file(s) written, {unchanged} unchanged',
+  'dashboard.exportFailed': ', {count} problem(s) failed',
+
+  'review.title': "Today's reviews",
+  'review.summary': '{due} due today, {upcoming} scheduled later',
+  'review.nothingDue': 'Nothing to review today.',
+  'review.nextDue': 'Next review: {time}',
+  'review.howItWorks': 'Accepted problems join the review queue automatically and are scheduled with the SM-2 spaced-repetition algorithm.',
+  'review.overdue': '{days} day(s) overdue',
+  'review.dueToday': 'Due today',
+  'review.repetitions': 'Recalled {count} time(s) in a row',
+  'review.lastReviewed': 'Last reviewed {time}',
+  'review.start': 'Start review',
+  'review.remove': 'Remove',
+  'review.removeConfirm': 'Remove "{title}" from the review queue?',
+  'review.mode': 'Review mode',
+  'review.modeHint': 'Solve it again from the blank template (your old draft is in the history), then rate how well you remembered it.',
+  'review.ratePrompt': 'Accepted! How well did you recall it?',
+  'review.rating.again': 'Again',
+  'review.rating.againHint': 'Could not solve it or needed the answer; review again tomorrow',
+  'review.rating.hard': 'Hard',
+  'review.rating.hardHint': 'Solved it, with real effort',
+  'review.rating.good': 'Good',
+  'review.rating.goodHint': 'Solved it after some thought',
+  'review.rating.easy': 'Easy',
+  'review.rating.easyHint': 'Knew it right away',
+  'review.rescheduled': 'Next review: {time} (in {days} day(s))',
+  'review.backToQueue': 'Back to the review queue',
+
+  'problem.back': 'Back',
+  'problem.refreshTitle': 'Ignore the cache and reload the statement',
+  'problem.openOnLeetCode': 'Open on LeetCode',
+  'problem.loading': 'Loading problem...',
+  'problem.tab.statement': 'Description',
+  'problem.tab.solutions': 'Solutions',
+  'problem.tab.submissions': 'Submissions',
+  'problem.tab.notes': 'Notes',
+  'problem.statement.original': 'English',
+  'problem.statement.translated': 'Chinese',
+  'problem.statement.both': 'Side by side',
+  'problem.statement.cnFallback': 'Translation from leetcode.cn',
+  'problem.statement.noTranslation': 'No Chinese translation for this problem; showing the original.',
+  'problem.hint': 'Hint {index}',
+  'problem.showHint': 'Show a hint ({shown}/{total})',
+  'problem.similar': 'Similar questions',
+
+  'notes.title': 'My notes',
+  'notes.edit': 'Edit',
+  'notes.preview': 'Preview',
+  'notes.empty': 'No notes yet. Write down the idea, pitfalls or complexity (Markdown supported).',
+  'notes.placeholder': 'Markdown supported; Ctrl/Cmd+S to save',
+  'notes.updatedAt': 'Updated {time}',
+
+  'editor.code': 'Code',
+  'editor.saving': 'Saving...',
+  'editor.saved': 'Draft saved',
+  'editor.history': 'Draft history',
+  'editor.resetTitle': 'Reset to the official template',
+  'editor.resetConfirm': 'Discard the current code and reset to the official template? (It stays in the history.)',
+  'editor.submit': 'Submit',
+  'editor.submitting': 'Submitting...',
+  'editor.submitTo': 'Site to submit to',
+  'editor.draftSaveFailed': 'Could not save draft: {error}',
+  'editor.noSnapshots': 'No snapshots yet (taken on submit, restore, reset and every 10 minutes while editing)',
+  'editor.compare': 'Compare',
+  'editor.closeCompare': 'Close diff',
+  'editor.restore': 'Restore',
+  'editor.diffLegend': 'Left: {label}   Right: current code',
+  'editor.takeCompared': 'Use left side',
+  'editor.snapshotLabel': 'Snapshot from {time}',
+  'editor.submissionLabel': 'Submission #{id}',
+  'editor.judgeTimeout': 'Judging timed out; check the submissions tab later',
+  'editor.judgeDisconnected': 'Lost connection to the judge result stream',
+  'editor.settings': 'Editor settings',
+  'settings.fontSize': 'Font size',
+  'settings.theme': 'Theme',
+  'settings.themeDark': 'Dark',
+  'settings.themeLight': 'Light',
+  'settings.themeContrast': 'High contrast',
+  'settings.tabSize': 'Tab size',
+  'settings.defaultLang': 'Default language (when there is no draft)',
+  'settings.defaultLangNone': 'Automatic (TypeScript / JavaScript / Python3 first)',
+  'settings.wordWrap': 'Word wrap',
+  'settings.vim': 'Vim keys',
+  'settings.shortcuts': "Ctrl/Cmd+Enter submits, Ctrl/Cmd+' runs (while the editor has focus)",
+  'settings.template': '{lang} starter template',
+  'settings.templateSaved': 'Saved',
+  'settings.templateClear': 'Clear',
+  'settings.templatePlaceholder': 'Common imports, helper structs… added to new or reset code',
+  'settings.templateHint': 'The template goes before the official snippet; put {marker} where the snippet should go instead.',
+
+  'snapshot.auto': 'Auto',
+  'snapshot.submit': 'Submit',
+  'snapshot.restore': 'Before restore',
+  'snapshot.reset': 'Before reset',
+  'snapshot.review': 'Before review',
+
+  'run.testcases': 'Test cases',
+  'run.resetExamples': 'Reset to examples',
+  'run.run': 'Run',
+  'run.running': 'Running...',
+  'run.pending': 'Running',
+  'run.timeout': 'Timed out waiting for the run result; try again later',
+  'run.allPassed': 'All passed',
+  'run.mismatch': 'Wrong output',
+  'run.case': 'Case {index}',
+  'run.runLocal': 'Run locally',
+  'run.runLocalHint': 'Run the examples on this machine without LeetCode; works offline',
+  'run.local': 'Local',
+  'run.noExpected': 'No expected output (custom case)',
+
+  'history.loadIntoEditor': 'Load into editor',
+  'history.sameLangRequired': 'Switch to the same language first',
+  'history.compareWithCurrent': 'Diff with current code',
+  'history.loadingDetail': 'Loading submission...',
+  'history.empty': 'No submissions yet',
+  'solutions.editorial': 'Editorial',
+  'solutions.community': 'Community',
+  'solutions.site': 'Site to read solutions from',
+  'solutions.sort.hot': 'Hot',
+  'solutions.sort.votes': 'Most votes',
+  'solutions.sort.recent': 'Most recent',
+  'solutions.allLangs': 'All languages',
+  'solutions.total': '{count} solutions',
+  'solutions.empty': 'No matching solutions',
+  'solutions.official': 'Official',
+  'solutions.noEditorial': 'This problem has no editorial yet',
+  'solutions.premiumEditorial': 'The editorial is for Premium subscribers',
+  'solutions.loadingDetail': 'Loading solution...',
+  'solutions.backToList': 'Back to solutions',
+  'solutions.copy': 'Copy into editor',
+  'solutions.copyTitle': 'Compare with your draft in the editor before replacing it',
+
+  'verdict.runtime': 'Runtime',
+  'verdict.memory': 'Memory',
+  'verdict.beats': 'Beats {percent}%',
+  'verdict.lastTestcase': 'Last executed input',
+
+  'error.NOT_AUTHENTICATED': 'Please sign in first',
+  'error.SESSION_EXPIRED': 'Your session has expired; please sign in again',
+  'error.ACCOUNT_NOT_LINKED': 'No account is linked for that site',
+  'error.ACCOUNT_EXPIRED': "That account's sign-in has expired and it was unlinked; please link it again",
+  'error.COOKIE_REQUIRED': 'Please paste a cookie',
+  'error.COOKIE_INVALID':
+    'The cookie must contain csrftoken and LEETCODE_SESSION. Copy it from the Request Headers in the Network tab, or use "Copy as cURL".',
+  'error.NOT_SIGNED_IN':
+    'Not signed in. Check that: 1) the cookie comes from the Request Headers of the same site (leetcode.com / leetcode.cn); 2) it contains csrftoken and LEETCODE_SESSION; 3) you are not using a leetcode.com cookie on leetcode.cn (or the other way round).',
+  'error.AUTH_FAILED': 'LeetCode rejected this cookie. Check the selected site and that the cookie has not expired.',
+  'error.COOKIE_EXPIRED': 'This LEETCODE_SESSION has expired; sign in to LeetCode in the browser again and copy it anew',
+  'error.COOKIE_FORMAT_UNKNOWN': 'Unrecognised format: paste a cookie or cURL command, or upload a .har / cookie export',
+  'error.NOT_FOUND': 'Problem or record not found',
+  'error.UPSTREAM_TIMEOUT': 'LeetCode timed out; please try again later',
+  'error.UPSTREAM_UNREACHABLE': 'Cannot reach LeetCode; check your network',
+  'error.UPSTREAM_RATE_LIMITED': 'Too many requests; LeetCode is rate limiting us. Try again shortly',
+  'error.UPSTREAM_UNAUTHORIZED': 'LeetCode rejected the request; your session may have expired',
+  'error.UPSTREAM_UNAVAILABLE': 'LeetCode is temporarily unavailable',
+  'error.UPSTREAM_BAD_RESPONSE': 'LeetCode returned an unreadable response',
+  'error.UPSTREAM_GRAPHQL_ERROR': 'LeetCode could not answer this query',
+  'error.UPSTREAM_ERROR': 'The request to LeetCode failed',
+  'error.LOCAL_UNSUPPORTED': 'This problem or language cannot run locally',
+  'error.LOCAL_RUNTIME_MISSING': 'The runtime (Python or the typescript package) is missing on the server',
+  'error.LOCAL_BAD_INPUT': 'Malformed test cases: one parameter per line, each valid JSON',
+  'error.LIST_NAME_REQUIRED': 'Please enter a list name',
+  'error.LIST_LIMIT': 'Too many lists or too many problems in this list',
+  'error.LIST_READONLY': 'Favorites cannot be renamed or deleted',
+  'error.LIST_IMPORT_INVALID': 'This is not a list export file',
+  'error.NOTE_TOO_LONG': 'The note is too long (20000 characters at most)',
+  'error.TEMPLATE_TOO_LONG': 'The template is too long (20000 characters at most)',
+  'error.INVALID_RATING': 'Invalid rating',
+  'error.EXPORT_DIR_INVALID': 'The export directory cannot be read',
+  'error.EXPORT_DIR_FORBIDDEN': 'The export directory must be inside LC_EXPORT_DIR or one of LC_EXPORT_ROOTS',
+  'error.EXPORT_DIR_NOT_EMPTY': 'The export directory is not empty and holds no previous export (.leetlite-export.json)',
+  'error.ACCESS_REQUIRED': 'Enter the access password first',
+  'error.ACCESS_DENIED': 'Wrong access password',
+  'error.ACCESS_THROTTLED': 'Too many wrong passwords; try again later',
+  'error.CSRF_INVALID': 'Request check failed; reload the page and try again',
+  'error.HOST_FORBIDDEN': 'The local server refused this address; allow it with LC_ALLOWED_HOSTS',
+  'error.ORIGIN_FORBIDDEN': 'The local server refused requests from this page; allow its host with LC_ALLOWED_HOSTS',
+}
+
+export default en
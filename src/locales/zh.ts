@@ -0,0 +1,337 @@
+// Source catalog: every UI string lives here first; `en.ts` must provide the same keys.
+const zh = {
+  'app.tagline': '第三方刷题（最小可用）',
+  'app.language': '界面语言',
+  'app.contests': '竞赛',
+  'app.dashboard': '练习统计',
+  'app.review': '今日复习',
+
+  'auth.syncing': '同步登录状态...',
+  'auth.offline': '离线',
+  'auth.signedInAs': '已登录：',
+  'auth.logout': '退出',
+  'auth.emailNotVerified': '你的 LeetCode 账号邮箱未验证：已允许登录，但部分能力可能受限（建议去 LeetCode 完成邮箱验证）。',
+  'accounts.title': 'LeetCode 账号',
+  'accounts.link': '关联另一个站点的账号',
+  'accounts.unlink': '取消关联',
+  'accounts.unlinkConfirm': '取消关联 {site} 的账号？',
+  'accounts.merge': '合并两个站点的做题进度',
+  'accounts.mergeHint': '按题目 slug 匹配：任一站点通过即视为已解答',
+  'accounts.expiresAt': 'LeetCode 登录将于 {time} 过期',
+  'accounts.expiresInDays': '{count} 天后过期',
+  'accounts.expiresInHours': '{count} 小时后过期',
+  'accounts.expiresInMinutes': '{count} 分钟后过期',
+  'accounts.expired': '已过期',
+
+  'login.title': '使用 Cookie 登录',
+  'login.help':
+    '从浏览器开发者工具 Network 中，复制任意 leetcode 请求的 Request Headers 里的 Cookie（不是 Response Headers 的 Set-Cookie）。需要包含 csrftoken 和 LEETCODE_SESSION。',
+  'login.site': '站点',
+  'login.submit': '登录',
+  'login.linkTitle': '关联另一个站点',
+  'login.linkHelp': '已登录：{sites}。关联后可在右上角切换账号，提交时也可以选择站点。',
+  'login.linkSubmit': '关联',
+  'login.cookiePlaceholder': 'csrftoken=...; LEETCODE_SESSION=...；也可以粘贴“复制为 cURL”的命令或 Set-Cookie 响应头',
+  'login.upload': '上传文件',
+  'login.uploadClear': '改为粘贴',
+  'login.formats': '支持 .har 抓包文件与 Cookie 导出（Netscape cookies.txt 或 JSON）。数据里带有站点信息时自动识别站点。',
+  'login.domainDetected': '已按 Cookie 数据识别为 {site} 的账号。',
+  'login.expiresSoon': '这个 LeetCode 登录将于 {time} 过期，届时需要重新导入 Cookie。',
+  'access.title': '输入访问密码',
+  'access.help': '这个本地服务设置了访问密码（LC_ACCESS_PASSWORD），输入后才能使用。',
+  'access.password': '访问密码',
+  'access.unlock': '解锁',
+  'access.lock': '锁定（需重新输入访问密码）',
+
+  'common.loading': '加载中...',
+  'common.loadMore': '加载更多',
+  'common.refresh': '刷新',
+  'common.close': '关闭',
+  'common.offlineCache': '离线缓存',
+  'common.offlineCacheAt': '离线缓存（{time}）',
+  'common.runtime': '用时：{value}',
+  'common.memory': '内存：{value}',
+  'common.passed': '通过：{correct}/{total}',
+  'common.input': '输入',
+  'common.output': '输出',
+  'common.expected': '预期结果',
+  'common.stdout': '标准输出',
+  'common.judging': '判题中',
+  'common.unknownStatus': '未知状态',
+  'common.chooseLang': '请选择语言',
+  'common.emptyCode': '代码不能为空',
+  'common.save': '保存',
+  'common.cancel': '取消',
+
+  'difficulty.Easy': '简单',
+  'difficulty.Medium': '中等',
+  'difficulty.Hard': '困难',
+  'difficulty.Unknown': '未知',
+
+  'list.title': '题库',
+  'list.count': '{count} 道',
+  'list.searchPlaceholder': '搜索（题号/标题/slug）',
+  'list.search': '搜索',
+  'list.refreshTitle': '忽略缓存，重新拉取题库',
+  'list.prefetchTitle': '缓存全部题面，便于离线阅读',
+  'list.status.solved': '已解答',
+  'list.status.attempted': '尝试过',
+  'list.status.todo': '未开始',
+  'list.solvedOn': '已在 {sites} 通过',
+  'list.excludePaid': '隐藏会员题',
+  'list.tags': '标签',
+  'list.activeTags': '标签：',
+  'list.removeTag': '移除该标签',
+  'list.tagSearchPlaceholder': '筛选标签',
+  'list.tagSolved': '已解答 {solved}/{count}',
+  'list.acRate': '通过率',
+  'list.sort.id': '按题号',
+  'list.sort.acRate': '按通过率',
+  'list.sort.difficulty': '按难度',
+  'list.order.asc': '升序',
+  'list.order.desc': '降序',
+  'list.clearFilters': '清除筛选',
+  'list.prefetchProgress': '题面缓存：{done}/{total}',
+  'list.prefetchFailed': '，失败 {count}',
+  'list.allLoaded': '已全部加载',
+  'list.empty': '没有符合条件的题目',
+
+  'lists.select': '题单',
+  'lists.all': '全部题目',
+  'lists.favorites': '我的收藏',
+  'lists.favorite': '收藏',
+  'lists.unfavorite': '取消收藏',
+  'lists.addTo': '加入题单',
+  'lists.noLists': '还没有题单，去题库新建一个',
+  'lists.new': '新建题单',
+  'lists.name': '题单名称',
+  'lists.description': '说明（可选）',
+  'lists.edit': '编辑',
+  'lists.delete': '删除',
+  'lists.deleteConfirm': '删除题单「{name}」？题目本身不受影响。',
+  'lists.export': '导出',
+  'lists.exportAll': '导出全部',
+  'lists.exportAllTitle': '把所有题单导出为 JSON，便于分享',
+  'lists.import': '导入',
+  'lists.imported': '已导入 {count} 个题单',
+  'lists.progress': '已解答 {solved} / {total}，尝试过 {attempted}',
+  'lists.emptyHint': '这个题单还是空的，在题目页点击「加入题单」添加题目。',
+
+  'contest.daily': '每日一题',
+  'contest.past': '往届竞赛',
+  'contest.credit': '{credit} 分',
+  'contest.problemsUnavailable': '无法获取本场题目',
+  'contest.startVirtual': '虚拟参赛',
+  'contest.startConfirm': '开始「{title}」的虚拟竞赛？计时立即开始。',
+  'contest.finish': '结束竞赛',
+  'contest.finishConfirm': '确定提前结束本场虚拟竞赛？',
+  'contest.scoreLine': '得分 {score}/{max}',
+  'contest.scoreboard': '虚拟竞赛成绩',
+  'contest.contest': '竞赛',
+  'contest.score': '得分',
+  'contest.finishTime': '完成时间（含罚时）',
+  'contest.wrongAttempts': '错误 {count} 次',
+  'contest.delete': '删除记录',
+  'contest.deleteConfirm': '删除这条虚拟竞赛记录？',
+  'contest.submissionCounted': '已计入虚拟竞赛',
+  'contest.verdictUnknown': '{count} 次提交未能获取判题结果，不计分也不计罚时',
+
+  'dashboard.title': '练习统计',
+  'dashboard.currentStreak': '当前连续打卡',
+  'dashboard.longestStreak': '最长连续',
+  'dashboard.activeDays': '活跃天数',
+  'dashboard.days': '{count} 天',
+  'dashboard.solved': '已解答 {solved} / {total}',
+  'dashboard.submissionsLastYear': '过去一年提交 {count} 次',
+  'dashboard.heatmapCell': '{date}：{count} 次提交',
+  'dashboard.less': '少',
+  'dashboard.more': '多',
+  'dashboard.languages': '语言',
+  'dashboard.problemsSolved': '{count} 题',
+  'dashboard.recentAc': '最近通过',
+  'dashboard.noData': '暂无数据',
+  'dashboard.export': '导出题解',
+  'dashboard.exportTitle': '把已通过的提交写入本地文件夹（每题一个目录，附题面 README），可直接用 Git 管理',
+  'dashboard.exportStop': '停止导出',
+  'dashboard.exportRunning': '正在导出 {done}/{total}',
+  'dashboard.exportDone': '已导出到 {dir}：写入 {written} 个文件，{unchanged} 个未变化',
+  'dashboard.exportFailed': '，{count} 题失败',
+
+  'review.title': '今日复习',
+  'review.summary': '今天待复习 {due} 题，之后还有 {upcoming} 题',
+  'review.nothingDue': '今天没有需要复习的题目。',
+  'review.nextDue': '下一次复习：{time}',
+  'review.howItWorks': '提交通过的题目会自动加入复习队列，按 SM-2 间隔重复算法安排下次复习。',
+  'review.overdue': '已逾期 {days} 天',
+  'review.dueToday': '今天到期',
+  'review.repetitions': '已连续记住 {count} 次',
+  'review.lastReviewed': '上次复习：{time}',
+  'review.start': '开始复习',
+  'review.remove': '移出队列',
+  'review.removeConfirm': '把「{title}」移出复习队列？',
+  'review.mode': '复习模式',
+  'review.modeHint': '从空白模板重新做一遍（旧草稿在历史记录里），完成后评价自己记得多牢。',
+  'review.ratePrompt': '通过了！这次回忆起来感觉如何？',
+  'review.rating.again': '忘了',
+  'review.rating.againHint': '没做出来或需要看答案，明天再复习',
+  'review.rating.hard': '困难',
+  'review.rating.hardHint': '做出来了，但很吃力',
+  'review.rating.good': '良好',
+  'review.rating.goodHint': '稍加思考就做出来了',
+  'review.rating.easy': '简单',
+  'review.rating.easyHint': '一眼就会',
+  'review.rescheduled': '下次复习：{time}（{days} 天后）',
+  'review.backToQueue': '返回复习队列',
+
+  'problem.back': '返回',
+  'problem.refreshTitle': '忽略缓存，重新拉取题面',
+  'problem.openOnLeetCode': '在 LeetCode 打开',
+  'problem.loading': '加载题目详情...',
+  'problem.tab.statement': '题目描述',
+  'problem.tab.solutions': '题解',
+  'problem.tab.submissions': '提交记录',
+  'problem.tab.notes': '笔记',
+  'problem.statement.original': '原文',
+  'problem.statement.translated': '中文',
+  'problem.statement.both': '对照',
+  'problem.statement.cnFallback': '译文来自 leetcode.cn',
+  'problem.statement.noTranslation': '这道题暂无中文翻译，显示原文。',
+  'problem.hint': '提示 {index}',
+  'problem.showHint': '查看提示（{shown}/{total}）',
+  'problem.similar': '相似题目',
+
+  'notes.title': '我的笔记',
+  'notes.edit': '编辑',
+  'notes.preview': '预览',
+  'notes.empty': '还没有笔记。记下思路、易错点或复杂度分析吧（支持 Markdown）。',
+  'notes.placeholder': '支持 Markdown，Ctrl/Cmd+S 保存',
+  'notes.updatedAt': '更新于 {time}',
+
+  'editor.code': '代码',
+  'editor.saving': '保存中...',
+  'editor.saved': '草稿已自动保存',
+  'editor.history': '草稿历史',
+  'editor.resetTitle': '恢复为官方模板',
+  'editor.resetConfirm': '确定丢弃当前代码并恢复为官方模板？（当前代码会保留在历史记录中）',
+  'editor.submit': '提交',
+  'editor.submitting': '提交中...',
+  'editor.submitTo': '提交到的站点',
+  'editor.draftSaveFailed': '草稿保存失败：{error}',
+  'editor.noSnapshots': '暂无历史快照（每次提交、恢复、重置以及编辑时每 10 分钟记录一次）',
+  'editor.compare': '对比',
+  'editor.closeCompare': '关闭对比',
+  'editor.restore': '恢复',
+  'editor.diffLegend': '左：{label}　右：当前代码',
+  'editor.takeCompared': '使用左侧代码',
+  'editor.snapshotLabel': '{time} 的快照',
+  'editor.submissionLabel': '提交 #{id}',
+  'editor.judgeTimeout': '判题超时，请稍后在提交记录中查看结果',
+  'editor.judgeDisconnected': '与判题结果的连接已断开',
+  'editor.settings': '编辑器设置',
+  'settings.fontSize': '字号',
+  'settings.theme': '主题',
+  'settings.themeDark': '深色',
+  'settings.themeLight': '浅色',
+  'settings.themeContrast': '高对比度',
+  'settings.tabSize': '缩进宽度',
+  'settings.defaultLang': '默认语言（没有草稿时使用）',
+  'settings.defaultLangNone': '自动（TypeScript / JavaScript / Python3 优先）',
+  'settings.wordWrap': '自动换行',
+  'settings.vim': 'Vim 键位',
+  'settings.shortcuts': 'Ctrl/Cmd+Enter 提交，Ctrl/Cmd+\' 运行（焦点在编辑器内时）',
+  'settings.template': '{lang} 起始模板',
+  'settings.templateSaved': '已保存',
+  'settings.templateClear': '清除',
+  'settings.templatePlaceholder': '例如常用的 import、辅助结构体……新打开或重置的代码会带上它',
+  'settings.templateHint': '模板放在官方代码之前；写上 {marker} 可以指定官方代码插入的位置。',
+
+  'snapshot.auto': '自动',
+  'snapshot.submit': '提交',
+  'snapshot.restore': '恢复前',
+  'snapshot.reset': '重置前',
+  'snapshot.review': '复习前',
+
+  'run.testcases': '测试用例',
+  'run.resetExamples': '恢复示例',
+  'run.run': '运行',
+  'run.running': '运行中...',
+  'run.pending': '运行中',
+  'run.timeout': '等待运行结果超时，请稍后重试',
+  'run.allPassed': '全部通过',
+  'run.mismatch': '结果不一致',
+  'run.case': '用例 {index}',
+  'run.runLocal': '本地运行',
+  'run.runLocalHint': '在本机运行示例，不经过 LeetCode，离线可用',
+  'run.local': '本地',
+  'run.noExpected': '无预期结果（自定义用例）',
+
+  'history.loadIntoEditor': '载入编辑器',
+  'history.sameLangRequired': '请先切换到相同语言',
+  'history.compareWithCurrent': '与当前代码对比',
+  'history.loadingDetail': '加载提交详情...',
+  'history.empty': '暂无提交记录',
+  'solutions.editorial': '官方题解',
+  'solutions.community': '社区题解',
+  'solutions.site': '题解来源站点',
+  'solutions.sort.hot': '综合排序',
+  'solutions.sort.votes': '最多点赞',
+  'solutions.sort.recent': '最新发布',
+  'solutions.allLangs': '全部语言',
+  'solutions.total': '共 {count} 篇题解',
+  'solutions.empty': '没有符合条件的题解',
+  'solutions.official': '官方',
+  'solutions.noEditorial': '这道题还没有官方题解',
+  'solutions.premiumEditorial': '官方题解需要会员才能查看',
+  'solutions.loadingDetail': '加载题解...',
+  'solutions.backToList': '返回题解列表',
+  'solutions.copy': '复制到编辑器',
+  'solutions.copyTitle': '在编辑器里与当前草稿对比，确认后再替换',
+
+  'verdict.runtime': '执行用时',
+  'verdict.memory': '内存消耗',
+  'verdict.beats': '击败 {percent}%',
+  'verdict.lastTestcase': '最后执行的输入',
+
+  'error.NOT_AUTHENTICATED': '请先登录',
+  'error.SESSION_EXPIRED': '登录已过期，请重新登录',
+  'error.ACCOUNT_NOT_LINKED': '这个站点还没有关联账号',
+  'error.ACCOUNT_EXPIRED': '这个账号的登录已过期，已取消关联，请重新关联',
+  'error.COOKIE_REQUIRED': '请粘贴 Cookie',
+  'error.COOKIE_INVALID': 'Cookie 里需要包含 csrftoken 和 LEETCODE_SESSION。请从浏览器 Network 的 Request Headers 里复制 Cookie，或使用“复制为 cURL”。',
+  'error.NOT_SIGNED_IN':
+    '未检测到登录状态。请确认：1) 你复制的是同域名（leetcode.com / leetcode.cn）的 Request Headers 里的 Cookie；2) Cookie 包含 csrftoken 和 LEETCODE_SESSION；3) 不要把 leetcode.com 的 Cookie 用在 leetcode.cn（反之亦然）。',
+  'error.AUTH_FAILED': 'LeetCode 拒绝了这个 Cookie，请确认站点选择正确且 Cookie 未过期。',
+  'error.COOKIE_EXPIRED': '这个 LEETCODE_SESSION 已经过期，请在浏览器重新登录 LeetCode 后再复制',
+  'error.COOKIE_FORMAT_UNKNOWN': '无法识别的格式：请粘贴 Cookie、cURL 命令，或上传 .har / Cookie 导出文件',
+  'error.NOT_FOUND': '题目或记录不存在',
+  'error.UPSTREAM_TIMEOUT': 'LeetCode 响应超时，请稍后重试',
+  'error.UPSTREAM_UNREACHABLE': '无法连接到 LeetCode，请检查网络',
+  'error.UPSTREAM_RATE_LIMITED': '请求过于频繁，已被 LeetCode 限流，请稍后再试',
+  'error.UPSTREAM_UNAUTHORIZED': 'LeetCode 拒绝了请求，登录状态可能已失效',
+  'error.UPSTREAM_UNAVAILABLE': 'LeetCode 服务暂时不可用',
+  'error.UPSTREAM_BAD_RESPONSE': 'LeetCode 返回了无法解析的响应',
+  'error.UPSTREAM_GRAPHQL_ERROR': 'LeetCode 查询失败',
+  'error.UPSTREAM_ERROR': 'LeetCode 请求失败',
+  'error.LOCAL_UNSUPPORTED': '这道题或这种语言不支持本地运行',
+  'error.LOCAL_RUNTIME_MISSING': '本机缺少运行环境（Python 或 typescript 包），请在服务端安装后重试',
+  'error.LOCAL_BAD_INPUT': '测试用例格式不正确：每个参数占一行，且必须是合法的 JSON',
+  'error.LIST_NAME_REQUIRED': '请填写题单名称',
+  'error.LIST_LIMIT': '题单数量或题目数量已达上限',
+  'error.LIST_READONLY': '收藏夹不能重命名或删除',
+  'error.LIST_IMPORT_INVALID': '无法识别的题单文件',
+  'error.NOTE_TOO_LONG': '笔记太长了（最多 20000 字）',
+  'error.TEMPLATE_TOO_LONG': '模板太长了（最多 20000 字）',
+  'error.INVALID_RATING': '无效的评价',
+  'error.EXPORT_DIR_INVALID': '无法读取导出目录',
+  'error.EXPORT_DIR_FORBIDDEN': '导出目录必须位于 LC_EXPORT_DIR 或 LC_EXPORT_ROOTS 指定的目录之下',
+  'error.EXPORT_DIR_NOT_EMPTY': '导出目录不为空，且不是之前导出的目录（缺少 .leetlite-export.json）',
+  'error.ACCESS_REQUIRED': '请先输入访问密码',
+  'error.ACCESS_DENIED': '访问密码不正确',
+  'error.ACCESS_THROTTLED': '密码错误次数过多，请稍后再试',
+  'error.CSRF_INVALID': '请求校验失败，请刷新页面后重试',
+  'error.HOST_FORBIDDEN': '本地服务拒绝了这个访问地址，可通过 LC_ALLOWED_HOSTS 放行',
+  'error.ORIGIN_FORBIDDEN': '本地服务拒绝了来自这个页面来源的请求，可通过 LC_ALLOWED_HOSTS 放行',
+}
+
+export type MessageKey = keyof typeof zh
+export default zh
@@ -0,0 +1,105 @@
+import DOMPurify from 'dompurify'
+import { marked, type Token, type Tokens } from 'marked'
+import { loader } from '@guolao/vue-monaco-editor'
+import { monacoLanguageFor } from './api'
+
+/** Renders user-written markdown (notes) to HTML that is safe to bind with v-html. */
+export function renderMarkdown(text: string | null | undefined) {
+  const source = (text || '').trim()
+  if (!source) return ''
+  return DOMPurify.sanitize(marked.parse(source, { async: false, gfm: true, breaks: true }))
+}
+
+// An editorial or solution split at its top-level code blocks, so each block can get its own actions.
+export type ArticleBlock =
+  | { kind: 'html'; html: string }
+  | { kind: 'code'; code: string; lang: string | null; label: string }
+
+// Fence names used in LeetCode articles, mapped to the lang slugs of the editor.
+const FENCE_LANGS: Record<string, string> = {
+  python: 'python3',
+  python3: 'python3',
+  py: 'python3',
+  'c++': 'cpp',
+  cpp: 'cpp',
+  c: 'c',
+  java: 'java',
+  javascript: 'javascript',
+  js: 'javascript',
+  typescript: 'typescript',
+  ts: 'typescript',
+  go: 'golang',
+  golang: 'golang',
+  'c#': 'csharp',
+  csharp: 'csharp',
+  cs: 'csharp',
+  rust: 'rust',
+  rs: 'rust',
+  kotlin: 'kotlin',
+  kt: 'kotlin',
+  swift: 'swift',
+  ruby: 'ruby',
+  rb: 'ruby',
+  php: 'php',
+  scala: 'scala',
+  dart: 'dart',
+}
+
+// LeetCode fences read like `Python3 [sol1-Python3]`: the language, then an optional tab label.
+function codeBlock(token: Tokens.Code): ArticleBlock {
+  const info = (token.lang || '').trim()
+  const name = info.split(/\s+/)[0] || ''
+  const label = info.match(/\[([^\]]*)\]/)?.[1]?.trim()
+  return { kind: 'code', code: token.text, lang: FENCE_LANGS[name.toLowerCase()] ?? null, label: label || name }
+}
+
+function absoluteUrl(href: string, baseUrl: string) {
+  try {
+    return new URL(href, baseUrl).href
+  } catch {
+    return href
+  }
+}
+
+/**
+ * Renders an editorial or community solution. Relative links and images resolve against `baseUrl` (the
+ * article's page on LeetCode); `[TOC]` and slideshow markers (`!?!...!?!`) only work there and are dropped.
+ */
+export function renderArticle(text: string | null | undefined, baseUrl: string): ArticleBlock[] {
+  const source = (text || '')
+    .replace(/^\s*\[TOC\]\s*$/gm, '')
+    .replace(/!\?!.*?!\?!/g, '')
+    .trim()
+  if (!source) return []
+
+  const tokens = marked.lexer(source, { gfm: true })
+  marked.walkTokens(tokens, (token) => {
+    if (token.type === 'link' || token.type === 'image') token.href = absoluteUrl(token.href, baseUrl)
+  })
+
+  const blocks: ArticleBlock[] = []
+  let pending: Token[] = []
+  const flush = () => {
+    if (!pending.length) return
+    const html = DOMPurify.sanitize(marked.parser(Object.assign(pending, { links: tokens.links }), { gfm: true }))
+    if (html.trim()) blocks.push({ kind: 'html', html })
+    pending = []
+  }
+  for (const token of tokens) {
+    if (token.type === 'code') {
+      flush()
+      blocks.push(codeBlock(token as Tokens.Code))
+    } else {
+      pending.push(token)
+    }
+  }
+  flush()
+  return blocks
+}
+
+/** Colours `code` with the editor's own monaco tokenizer and theme; the markup goes through DOMPurify like the rest. */
+export async function highlightCode(code: string, lang: string | null) {
+  const monaco = await loader.init()
+  const html = await monaco.editor.colorize(code, monacoLanguageFor(lang || ''), { tabSize: 4 })
+  return DOMPurify.sanitize(html)
+}
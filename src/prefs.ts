@@ -0,0 +1,54 @@
+import { reactive } from 'vue'
+import { api } from './api'
+import { locale, type Locale } from './i18n'
+
+export type StatementLang = 'en' | 'zh' | 'both'
+export type EditorTheme = 'vs-dark' | 'vs' | 'hc-black'
+
+export type Prefs = {
+  locale: Locale | null
+  statementLang: StatementLang
+  editorFontSize: number
+  editorTheme: EditorTheme
+  editorTabSize: number
+  editorWordWrap: boolean
+  editorVim: boolean
+  // Language a problem opens in when it has no draft yet; null for LeetCode's first.
+  defaultLang: string | null
+  // With accounts on both sites linked, count a problem accepted on either as solved.
+  mergeProgress: boolean
+}
+
+// Values the server accepts for the editor settings.
+export const EDITOR_FONT_SIZES = [10, 11, 12, 13, 14, 15, 16, 18, 20, 22, 24]
+export const EDITOR_TAB_SIZES = [2, 4, 8]
+
+// Per-account preferences, stored server-side. `locale` stays null until the user picks one.
+export const prefs = reactive<Prefs>({
+  locale: null,
+  statementLang: 'zh',
+  editorFontSize: 14,
+  editorTheme: 'vs-dark',
+  editorTabSize: 4,
+  editorWordWrap: false,
+  editorVim: false,
+  defaultLang: null,
+  mergeProgress: true,
+})
+
+export async function loadPrefs() {
+  try {
+    const data = await api<{ prefs: Prefs }>('/api/prefs', { method: 'GET' })
+    Object.assign(prefs, data.prefs)
+    if (data.prefs.locale) locale.value = data.prefs.locale
+  } catch {
+    // keep the defaults; preferences are not worth blocking the UI on
+  }
+}
+
+export async function updatePrefs(patch: Partial<Prefs>) {
+  Object.assign(prefs, patch)
+  if (patch.locale) locale.value = patch.locale
+  const data = await api<{ prefs: Prefs }>('/api/prefs', { method: 'PUT', body: JSON.stringify(patch) })
+  Object.assign(prefs, data.prefs)
+}
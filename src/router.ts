@@ -0,0 +1,41 @@
+import { createRouter, createWebHistory } from 'vue-router'
+import { ensureAuthChecked, isAuthed } from './auth'
+import ContestsView from './views/ContestsView.vue'
+import DashboardView from './views/DashboardView.vue'
+import LoginView from './views/LoginView.vue'
+import ProblemListView from './views/ProblemListView.vue'
+import ProblemView from './views/ProblemView.vue'
+import ReviewView from './views/ReviewView.vue'
+
+export const router = createRouter({
+  history: createWebHistory(),
+  routes: [
+    { path: '/', redirect: '/problems' },
+    { path: '/login', name: 'login', component: LoginView },
+    { path: '/contests', name: 'contests', component: ContestsView, meta: { requiresAuth: true } },
+    { path: '/dashboard', name: 'dashboard', component: DashboardView, meta: { requiresAuth: true } },
+    { path: '/review', name: 'review', component: ReviewView, meta: { requiresAuth: true } },
+    { path: '/problems', name: 'problems', component: ProblemListView, meta: { requiresAuth: true } },
+    // One record for all problem tabs so switching tabs keeps the editor mounted.
+    {
+      path: '/problems/:slug/:tab(submissions|notes|solutions)?/:id(\\d+)?',
+      name: 'problem',
+      component: ProblemView,
+      meta: { requiresAuth: true },
+    },
+    { path: '/:pathMatch(.*)*', redirect: '/problems' },
+  ],
+  scrollBehavior(to, from, savedPosition) {
+    if (savedPosition) return savedPosition
+    // Filter changes and tab switches stay where they are.
+    if (to.name === from.name) return false
+    return { top: 0 }
+  },
+})
+
+router.beforeEach(async (to) => {
+  if (!to.meta.requiresAuth) return true
+  await ensureAuthChecked()
+  if (isAuthed.value) return true
+  return { name: 'login', query: { redirect: to.fullPath } }
+})
@@ -0,0 +1,43 @@
+import { ref } from 'vue'
+import { api } from './api'
+
+// Marks where the official snippet goes inside a template; without it the snippet follows the template.
+export const SNIPPET_MARKER = '{{code}}'
+
+// The signed-in account's starter templates by language slug.
+export const starterTemplates = ref<Record<string, string>>({})
+
+type StoredTemplate = { text: string; updatedAt: number }
+
+export async function loadTemplates() {
+  try {
+    const data = await api<{ templates: Record<string, StoredTemplate> }>('/api/templates', { method: 'GET' })
+    starterTemplates.value = Object.fromEntries(Object.entries(data.templates).map(([lang, tpl]) => [lang, tpl.text]))
+  } catch {
+    // new buffers simply start from the official snippet
+  }
+}
+
+export function clearTemplates() {
+  starterTemplates.value = {}
+}
+
+/** Saves the template for `lang`; an empty text removes it. */
+export async function saveTemplate(lang: string, text: string) {
+  const data = await api<{ template: StoredTemplate | null }>(`/api/templates/${encodeURIComponent(lang)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ text }),
+  })
+  const next = { ...starterTemplates.value }
+  if (data.template) next[lang] = data.template.text
+  else delete next[lang]
+  starterTemplates.value = next
+}
+
+/** The official snippet with the user's template for `lang` merged in. */
+export function mergeStarter(lang: string, snippet: string) {
+  const template = starterTemplates.value[lang]
+  if (!template?.trim()) return snippet
+  if (template.includes(SNIPPET_MARKER)) return template.split(SNIPPET_MARKER).join(snippet)
+  return `${template.replace(/\s+$/, '')}\n\n${snippet}`
+}
@@ -0,0 +1,349 @@
+export type UserStatus = {
+  id: number | null
+  name: string | null
+  is_signed_in: boolean
+  is_premium: boolean
+  is_verified: boolean | null
+  session_id: number | null
+}
+
+export type LeetCodeDomain = 'leetcode.com' | 'leetcode.cn'
+
+// One linked site of the session; `active` is the account the app currently acts as.
+export type LinkedAccount = {
+  domain: LeetCodeDomain
+  name: string | null
+  active: boolean
+  // Expiry read from the LEETCODE_SESSION token (epoch ms); null when it carries none.
+  expiresAt: number | null
+}
+
+export type ProblemItem = {
+  id: number
+  frontendId: string
+  title: string
+  titleZh?: string | null
+  titleSlug: string
+  paidOnly: boolean
+  difficulty: 'Easy' | 'Medium' | 'Hard' | 'Unknown'
+  status: string | null
+  acRate: number | null
+  tags?: string[] | null
+  // With progress merged across linked accounts: the sites where it is accepted.
+  solvedOn?: LeetCodeDomain[]
+}
+
+export type ProblemPage = {
+  items: ProblemItem[]
+  total: number
+  skip: number
+  limit: number
+  stale?: boolean
+  cachedAt?: number | null
+}
+
+export type TagSummary = {
+  slug: string
+  name: string
+  nameZh: string | null
+  count: number
+  solved: number
+}
+
+export type SimilarQuestion = {
+  title: string
+  translated_title: string | null
+  title_slug: string
+  difficulty: 'Easy' | 'Medium' | 'Hard' | 'Unknown'
+  is_paid_only: boolean
+}
+
+export type ProblemSort = 'id' | 'acRate' | 'difficulty'
+export type ProgressFilter = 'solved' | 'attempted' | 'todo'
+
+export type Question = {
+  id: string
+  frontend_id: string
+  title: string
+  translated_title?: string | null
+  title_slug: string
+  is_paid_only: boolean
+  difficulty: string
+  likes: number
+  dislikes: number
+  content: string
+  translated_content?: string | null
+  // `cn_fallback` when the translation was borrowed from leetcode.cn for a leetcode.com session.
+  translation_source?: 'upstream' | 'cn_fallback' | null
+  testcase_list: string[]
+  topic_tags: { name: string; slug: string; translated_name?: string | null }[]
+  // HTML fragments, revealed one at a time.
+  hints?: string[]
+  similar_questions?: SimilarQuestion[]
+  code_snippets?: { lang: string; lang_slug: string; code: string }[]
+  // JSON describing the function signature; the local judge reads it.
+  meta_data?: string | null
+}
+
+export type DifficultyCounts = { All: number; Easy: number; Medium: number; Hard: number }
+
+export type UserStats = {
+  solved: DifficultyCounts
+  totals: DifficultyCounts
+  // UTC midnight (epoch seconds) -> submissions that day
+  calendar: Record<string, number>
+  active_days: number
+  streak: { current: number; longest: number }
+  languages: { name: string; solved: number }[]
+  recent_ac: {
+    id: string | null
+    title: string | null
+    translated_title: string | null
+    title_slug: string
+    timestamp: number | null
+    lang: string | null
+  }[]
+}
+
+export type DailyQuestion = {
+  date: string | null
+  frontendId: string
+  title: string
+  titleZh: string | null
+  titleSlug: string
+  difficulty: ProblemItem['difficulty']
+  paidOnly: boolean
+  acRate: number | null
+  status: string | null
+}
+
+export type ContestProblem = {
+  slug: string
+  title: string
+  titleZh: string | null
+  credit: number
+}
+
+export type ContestSummary = {
+  slug: string
+  title: string
+  // epoch seconds / seconds
+  startTime: number | null
+  duration: number | null
+  // null when the problem set could not be loaded
+  problems: ContestProblem[] | null
+}
+
+export type VirtualAttempt = {
+  submissionId: number
+  at: number
+  statusCode: number | null
+  status: string | null
+}
+
+export type VirtualScoreboard = {
+  score: number
+  maxScore: number
+  solved: number
+  // ms from the start, penalties included
+  finishTime: number | null
+  penalty: number
+  problems: {
+    slug: string
+    credit: number
+    acceptedAt: number | null
+    wrong: number
+    attempts: number
+    pending: boolean
+    // Attempts whose verdict could not be read; they are not scored.
+    unknown: number
+  }[]
+}
+
+export type VirtualContest = {
+  id: string
+  slug: string
+  title: string
+  problems: ContestProblem[]
+  // epoch ms / ms
+  startedAt: number
+  duration: number
+  endsAt: number
+  finishedAt: number | null
+  active: boolean
+  attempts: Record<string, VirtualAttempt[]>
+  scoreboard: VirtualScoreboard
+}
+
+export type ListProgress = { total: number; solved: number; attempted: number }
+
+export type StudyList = {
+  // `favorites` is the built-in list behind the star toggle; its name is null.
+  id: string
+  name: string | null
+  description: string
+  slugs: string[]
+  createdAt: number
+  updatedAt: number
+  // null when the catalog could not be loaded
+  progress: ListProgress | null
+}
+
+export type Note = {
+  text: string
+  updatedAt: number
+}
+
+export type RecallRating = 'again' | 'hard' | 'good' | 'easy'
+
+// One problem's SM-2 schedule; title fields come from the catalog and are null when it is unavailable.
+export type ReviewItem = {
+  slug: string
+  enrolledAt: number
+  // epoch ms
+  due: number
+  repetitions: number
+  // days
+  interval: number
+  ease: number
+  lastReviewedAt: number | null
+  lastAcceptedAt: number | null
+  history: { at: number; quality: number }[]
+  frontendId?: string | null
+  title?: string | null
+  titleZh?: string | null
+  difficulty?: ProblemItem['difficulty'] | null
+}
+
+export type SubmissionCheck = {
+  state?: string
+  status_code?: number
+  status_msg?: string
+  run_success?: boolean
+  status_runtime?: string
+  status_memory?: string
+  runtime_percentile?: number | null
+  memory_percentile?: number | null
+  total_correct?: number
+  total_testcases?: number
+  last_testcase?: string
+  expected_output?: string
+  code_output?: string
+  std_output?: string
+  compare_result?: string
+  compile_error?: string
+  full_compile_error?: string
+  runtime_error?: string
+  full_runtime_error?: string
+  submission_id?: number
+}
+
+export type SubmissionSummary = {
+  id: number
+  status: string | null
+  lang: string | null
+  lang_name: string | null
+  runtime: string | null
+  memory: string | null
+  timestamp: number | null
+  is_pending: boolean
+}
+
+export type SubmissionDetail = {
+  id: number
+  code: string
+  status: string | null
+  lang: string | null
+  lang_name: string | null
+  runtime: string | null
+  memory: string | null
+  runtime_percentile: number | null
+  memory_percentile: number | null
+  timestamp: number | null
+  title_slug: string | null
+  compile_error: string | null
+  runtime_error: string | null
+  last_testcase: string | null
+  code_output: string | null
+  expected_output: string | null
+  total_correct: number | null
+  total_testcases: number | null
+}
+
+// A community solution; `content` (markdown) is only filled in by the detail endpoint.
+export type SolutionArticle = {
+  id: string
+  title: string
+  summary: string | null
+  author: string | null
+  votes: number
+  comments: number
+  views: number
+  createdAt: number | null
+  official: boolean
+  tags: { slug: string; name: string }[]
+  content: string | null
+}
+
+// `content` is null when the editorial is premium-only and the account cannot see it.
+export type Editorial = {
+  id: string
+  title: string
+  content: string | null
+  paidOnly: boolean
+  canSee: boolean
+}
+
+export type SolutionSort = 'hot' | 'votes' | 'recent'
+
+// A code block taken from an article; `key` identifies it as the left side of the editor's diff view.
+export type ArticleCode = { key: string; code: string; lang: string | null; label: string }
+
+export type DraftSnapshot = {
+  code: string
+  at: number
+  reason: 'auto' | 'submit' | 'restore' | 'reset' | 'review'
+}
+
+export type Draft = {
+  code: string | null
+  updatedAt: number | null
+  snapshots: DraftSnapshot[]
+}
+
+export type PrefetchJob = {
+  running: boolean
+  total: number
+  done: number
+  failed: number
+}
+
+export type ExportJob = PrefetchJob & {
+  dir?: string
+  written?: number
+  unchanged?: number
+  errors?: { slug: string | null; error: string }[]
+  finishedAt?: number | null
+}
+
+export type RunCheck = {
+  state?: string
+  // Set by the local judge (/api/run/local).
+  local?: boolean
+  status_code?: number
+  status_msg?: string
+  run_success?: boolean
+  status_runtime?: string
+  memory?: string
+  code_answer?: string[]
+  expected_code_answer?: string[]
+  std_output_list?: string[]
+  compare_result?: string
+  correct_answer?: boolean
+  total_correct?: number | null
+  total_testcases?: number | null
+  compile_error?: string
+  full_compile_error?: string
+  runtime_error?: string
+  full_runtime_error?: string
+}
@@ -0,0 +1,132 @@
+import type { SubmissionCheck, SubmissionDetail } from './types'
+
+// Live judge results and stored submission details name the same things differently;
+// the verdict panel only deals with this shape.
+export type Verdict = {
+  status: string | null
+  accepted: boolean
+  pending: boolean
+  runtime: string | null
+  memory: string | null
+  runtimePercentile: number | null
+  memoryPercentile: number | null
+  totalCorrect: number | null
+  totalTestcases: number | null
+  compileError: string | null
+  runtimeError: string | null
+  lastTestcase: string | null
+  codeOutput: string | null
+  expectedOutput: string | null
+  stdOutput: string | null
+}
+
+export type CompileMarker = {
+  line: number
+  column: number
+  message: string
+}
+
+function text(value: unknown): string | null {
+  if (value == null) return null
+  const s = String(value)
+  return s === '' ? null : s
+}
+
+function percentile(value: unknown): number | null {
+  const n = typeof value === 'number' ? value : Number(value)
+  return value == null || value === '' || !Number.isFinite(n) ? null : n
+}
+
+export function verdictFromCheck(check: SubmissionCheck): Verdict {
+  const pending = String(check.state || '').toUpperCase() !== 'SUCCESS'
+  return {
+    status: pending ? null : text(check.status_msg),
+    accepted: !pending && (check.status_code === 10 || check.status_msg === 'Accepted'),
+    pending,
+    runtime: text(check.status_runtime),
+    memory: text(check.status_memory),
+    runtimePercentile: percentile(check.runtime_percentile),
+    memoryPercentile: percentile(check.memory_percentile),
+    totalCorrect: check.total_correct ?? null,
+    totalTestcases: check.total_testcases ?? null,
+    compileError: text(check.full_compile_error || check.compile_error),
+    runtimeError: text(check.full_runtime_error || check.runtime_error),
+    lastTestcase: text(check.last_testcase),
+    codeOutput: text(check.code_output),
+    expectedOutput: text(check.expected_output),
+    stdOutput: text(check.std_output),
+  }
+}
+
+export function verdictFromDetail(detail: SubmissionDetail): Verdict {
+  return {
+    status: detail.status,
+    accepted: detail.status === 'Accepted',
+    pending: false,
+    runtime: detail.runtime,
+    memory: detail.memory,
+    runtimePercentile: percentile(detail.runtime_percentile),
+    memoryPercentile: percentile(detail.memory_percentile),
+    totalCorrect: detail.total_correct,
+    totalTestcases: detail.total_testcases,
+    compileError: text(detail.compile_error),
+    runtimeError: text(detail.runtime_error),
+    lastTestcase: text(detail.last_testcase),
+    codeOutput: text(detail.code_output),
+    expectedOutput: text(detail.expected_output),
+    stdOutput: null,
+  }
+}
+
+export type DiffSegment = { text: string; changed: boolean }
+
+/**
+ * Splits both strings into common prefix / differing middle / common suffix.
+ * Judge outputs are usually a single serialised value, so this points straight at the first mismatch.
+ */
+export function diffOutputs(actual: string, expected: string): { actual: DiffSegment[]; expected: DiffSegment[] } {
+  let start = 0
+  const max = Math.min(actual.length, expected.length)
+  while (start < max && actual[start] === expected[start]) start++
+
+  let end = 0
+  while (
+    end < max - start &&
+    actual[actual.length - 1 - end] === expected[expected.length - 1 - end]
+  ) {
+    end++
+  }
+
+  const split = (s: string): DiffSegment[] =>
+    [
+      { text: s.slice(0, start), changed: false },
+      { text: s.slice(start, s.length - end), changed: true },
+      { text: s.slice(s.length - end), changed: false },
+    ].filter((seg) => seg.text !== '')
+
+  return { actual: split(actual), expected: split(expected) }
+}
+
+const LINE_RE = /^Line (\d+)(?::\s*Char (\d+))?:?\s*(.*)$/
+
+/**
+ * Pulls "Line N[: Char M]: message" locations out of LeetCode's compile output.
+ * Python puts the location after the message ("Line 4  (Solution.py)"), so a bare
+ * location borrows the first line of the error as its message.
+ */
+export function compileErrorMarkers(error: string): CompileMarker[] {
+  const lines = error.split('\n')
+  const fallback = lines.find((l) => l.trim() && !LINE_RE.test(l.trim()))?.trim() || error.trim()
+  const markers: CompileMarker[] = []
+  for (const raw of lines) {
+    const m = LINE_RE.exec(raw.trim())
+    if (!m) continue
+    const message = (m[3] || '').replace(/^\(?\w+\.\w+\)?$/, '').trim()
+    markers.push({
+      line: Number(m[1]),
+      column: m[2] ? Number(m[2]) : 1,
+      message: message || fallback,
+    })
+  }
+  return markers
+}
@@ -0,0 +1,85 @@
+import { computed, ref } from 'vue'
+import { api } from './api'
+import type { VirtualContest } from './types'
+
+// Virtual contest runs of the signed-in account, newest first; shared by the header bar,
+// the contests view and the problem view (which tags submissions with the active run).
+export const virtualContests = ref<VirtualContest[]>([])
+export const now = ref(Date.now())
+
+export const activeVirtual = computed(() => {
+  const c = virtualContests.value.find((x) => x.active)
+  return c && now.value < c.endsAt ? c : null
+})
+
+let clock: number | null = null
+
+function syncClock() {
+  const running = virtualContests.value.some((x) => x.active)
+  if (running && clock == null) {
+    clock = window.setInterval(() => {
+      now.value = Date.now()
+      // The server closes the run by itself once time is up; pick up the final state.
+      const ended = virtualContests.value.find((x) => x.active && now.value >= x.endsAt)
+      if (ended) loadVirtual()
+    }, 1000)
+  } else if (!running && clock != null) {
+    window.clearInterval(clock)
+    clock = null
+  }
+}
+
+function replace(contest: VirtualContest) {
+  const rest = virtualContests.value.filter((x) => x.id !== contest.id)
+  virtualContests.value = [contest, ...rest].sort((a, b) => b.startedAt - a.startedAt)
+  syncClock()
+}
+
+export async function loadVirtual() {
+  try {
+    const data = await api<{ contests: VirtualContest[] }>('/api/virtual', { method: 'GET' })
+    virtualContests.value = data.contests
+  } catch {
+    // the bar simply stays hidden
+  }
+  now.value = Date.now()
+  syncClock()
+}
+
+export function clearVirtual() {
+  virtualContests.value = []
+  syncClock()
+}
+
+export async function startVirtual(slug: string) {
+  const data = await api<{ contest: VirtualContest }>('/api/virtual', {
+    method: 'POST',
+    body: JSON.stringify({ slug }),
+  })
+  now.value = Date.now()
+  replace(data.contest)
+  return data.contest
+}
+
+export async function finishVirtual(id: string) {
+  const data = await api<{ contest: VirtualContest }>(`/api/virtual/${encodeURIComponent(id)}/finish`, {
+    method: 'POST',
+  })
+  replace(data.contest)
+}
+
+export async function removeVirtual(id: string) {
+  await api(`/api/virtual/${encodeURIComponent(id)}`, { method: 'DELETE' })
+  virtualContests.value = virtualContests.value.filter((x) => x.id !== id)
+  syncClock()
+}
+
+/** `h:mm:ss` / `m:ss` for timers and finish times. */
+export function formatDuration(ms: number) {
+  const total = Math.max(0, Math.floor(ms / 1000))
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = total % 60
+  const pad = (n: number) => String(n).padStart(2, '0')
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`
+}
@@ -1,3 +1,4 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
 import tailwindcss from '@tailwindcss/vite'
@@ -5,11 +6,21 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [vue(), tailwindcss()],
+  resolve: {
+    alias: {
+      // The package's `browser` export is a UMD bundle carrying its own copy of monaco internals;
+      // the ESM build imports them from our monaco-editor instead.
+      'monaco-vim': fileURLToPath(new URL('./node_modules/monaco-vim/dist/index.mjs', import.meta.url)),
+    },
+  },
   server: {
     proxy: {
       '/api': {
-        target: 'http://localhost:8787',
+        // The API listens on loopback (IPv4) by default.
+        target: 'http://127.0.0.1:8787',
         changeOrigin: true,
+        // X-Forwarded-For lets the API tell browsers apart (the access lockout is per address).
+        xfwd: true,
       },
     },
   },